@@ -0,0 +1,415 @@
+/**
+ * Action Scorer - Utility AI that rates every action available to an NPC
+ *
+ * Need gains are scored as the drop in "discomfort" (priority squared), so an
+ * item is worth more the emptier the needs it fills are, and every need it
+ * satisfies counts. Scores are then discounted by travel distance and weighted
+ * by personality and the time of day.
+ */
+class ActionScorer {
+    constructor() {
+        this.travelCost = 0.05; // Score lost per path step (scaled by personality.active)
+        this.preferredMultiplier = 1.25; // Needs the time of day favours
+        this.discouragedMultiplier = 0.8; // Needs the time of day disfavours
+        this.socialRadius = 6; // Tiles to look for someone to talk to
+        this.helpRadius = 3; // Tiles to look for someone in need
+        this.helpWeight = 0.5;
+        this.waitCost = 0.1; // Score lost per second of expected wait for a full item
+        this.coupleMultiplier = 1.5; // Shared furniture (beds, sofas) a partner is on or heading to
+        this.scheduleWeights = { low: 0.1, normal: 0.25, high: 0.5 }; // Schedule blocks blended with needs (override is followed outright)
+        this.wanderScore = 0.04;
+        this.idleScore = 0.03;
+        this.randomness = 0.1; // +/- fraction of noise so equal NPCs do not act in lockstep
+        this.candidateCount = 3; // Candidates kept for display
+    }
+
+    /**
+     * Get the shared scorer, creating it on first use
+     * @returns {ActionScorer}
+     */
+    static getShared() {
+        if (!window.actionScorer) {
+            window.actionScorer = new ActionScorer();
+        }
+        return window.actionScorer;
+    }
+
+    /**
+     * Rate every action available to an NPC
+     * @param {NPC} npc
+     * @returns {Array<Object>} Candidates {type, score, label, target, needType, other, block}, best first
+     */
+    scoreActions(npc) {
+        const preferences = window.timeSystem ? window.timeSystem.getActivityPreferences() : {};
+        const candidates = [];
+
+        this.addItemCandidates(npc, preferences, candidates);
+        this.addInventoryCandidates(npc, preferences, candidates);
+        this.addWaitCandidates(npc, preferences, candidates);
+        this.addRecipeCandidates(npc, preferences, candidates);
+        this.addSocialCandidate(npc, preferences, candidates);
+        this.addHelpCandidates(npc, candidates);
+        this.addScheduleCandidate(npc, candidates);
+
+        candidates.push({
+            type: 'wander',
+            score: this.wanderScore * (0.5 + npc.personality.active),
+            label: 'Wander'
+        });
+        candidates.push({
+            type: 'idle',
+            score: this.idleScore * (1.5 - npc.personality.active),
+            label: 'Idle'
+        });
+
+        const rng = SeededRandom.getShared();
+        for (const candidate of candidates) {
+            candidate.score *= 1 + rng.range(-this.randomness, this.randomness);
+        }
+
+        return candidates.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Score using each available item (each serving on offer, for containers)
+     * Paths are only planned for items whose undiscounted score could still make the top candidates.
+     * @param {NPC} npc
+     * @param {Object} preferences - From TimeSystem.getActivityPreferences()
+     * @param {Array<Object>} candidates - Output list
+     */
+    addItemCandidates(npc, preferences, candidates) {
+        if (!window.world) return;
+
+        const partner = npc.getPartner();
+        const entries = [];
+        for (const item of window.world.entityManager.getByType('functional')) {
+            if (!item.active || !item.isAvailable(npc.id)) continue;
+
+            const together = partner && this.isSharedWithPartner(item, partner) ? this.coupleMultiplier : 1;
+            for (const option of item.getUseOptions()) {
+                const gains = this.scoreNeedGains(npc, this.getItemSatisfies(item, option), preferences);
+                if (gains.total > 0) {
+                    entries.push({ item, option, score: gains.total * together, needType: gains.mainNeed });
+                }
+            }
+        }
+        entries.sort((a, b) => b.score - a.score);
+
+        const routes = new Map(); // Item id -> route, so containers are only planned once
+        const scored = [];
+        for (const entry of entries) {
+            if (scored.length >= this.candidateCount && entry.score <= scored[this.candidateCount - 1]) {
+                break; // Even with no travel it could not beat what we have
+            }
+
+            if (!routes.has(entry.item.id)) {
+                routes.set(entry.item.id, npc.findPathToItem(entry.item));
+            }
+            const route = routes.get(entry.item.id);
+            if (!route) continue;
+
+            const score = entry.score * this.getDistanceFactor(npc, route.path.length);
+            scored.push(score);
+            scored.sort((a, b) => b - a);
+            candidates.push({
+                type: 'use_item',
+                score,
+                label: `Use ${entry.option.name}`,
+                target: entry.item,
+                choice: entry.option.choice,
+                needType: entry.needType
+            });
+        }
+    }
+
+    /**
+     * Check if a partner is on, or on the way to, shared furniture
+     * @param {FunctionalItem} item
+     * @param {NPC} partner
+     * @returns {boolean}
+     */
+    isSharedWithPartner(item, partner) {
+        if (item.capacity < 2 || item.itemDef.category !== 'furniture') return false;
+        return item.users.has(partner.id) || item.hasReservation(partner.id) || partner.targetItem === item;
+    }
+
+    /**
+     * Score using something we carry (no travel; it is put down and used on the spot)
+     * @param {NPC} npc
+     * @param {Object} preferences
+     * @param {Array<Object>} candidates
+     */
+    addInventoryCandidates(npc, preferences, candidates) {
+        const definitions = ItemDefinitions.getDefinitions();
+        npc.inventory.entries.forEach((entry, index) => {
+            const def = entry.data && entry.data.itemDef ? entry.data.itemDef : definitions[entry.defKey];
+            if (!def) return;
+
+            const gains = this.scoreNeedGains(npc, def.satisfies, preferences);
+            if (gains.total <= 0) return;
+
+            candidates.push({
+                type: 'use_held',
+                score: gains.total,
+                label: `Use ${entry.name} (carried)`,
+                index,
+                satisfies: def.satisfies,
+                needType: gains.mainNeed
+            });
+        });
+    }
+
+    /**
+     * Get what a full use of an item would give, including company from its current users
+     * @param {FunctionalItem} item
+     * @param {Object} option - From item.getUseOptions()
+     * @returns {Object} {needType: amount}
+     */
+    getItemSatisfies(item, option) {
+        const satisfies = Object.assign({}, option.satisfies);
+        if (item.users.size > 0) {
+            satisfies.social = (satisfies.social || 0) + item.sharedSocialRate * item.users.size * option.useTime;
+        }
+        return satisfies;
+    }
+
+    /**
+     * Score queueing for items that are full
+     * Uses straight-line distance, as the route depends on which slot frees up.
+     * @param {NPC} npc
+     * @param {Object} preferences
+     * @param {Array<Object>} candidates
+     */
+    addWaitCandidates(npc, preferences, candidates) {
+        if (!window.world) return;
+
+        for (const item of window.world.entityManager.getByType('functional')) {
+            if (!item.active || !item.inUse || item.isEmpty() || item.isAvailable(npc.id)) continue;
+
+            const best = item.getUseOptions()
+                .map(option => this.scoreNeedGains(npc, option.satisfies, preferences))
+                .sort((a, b) => b.total - a.total)[0];
+            const gains = best || { total: 0 };
+            if (gains.total <= 0) continue;
+
+            candidates.push({
+                type: 'wait',
+                score: gains.total * this.getDistanceFactor(npc, npc.getDistance(item)) /
+                    (1 + item.getExpectedWait() * this.waitCost),
+                label: `Wait for ${item.name}`,
+                target: item,
+                needType: gains.mainNeed
+            });
+        }
+    }
+
+    /**
+     * Score cooking through a chain of items (e.g. Fridge -> Stove), planned by the
+     * GoalPlanner, when no ready item covers the need the recipe's output would fill.
+     * Expects item and wait candidates to be scored already.
+     * @param {NPC} npc
+     * @param {Object} preferences
+     * @param {Array<Object>} candidates
+     */
+    addRecipeCandidates(npc, preferences, candidates) {
+        if (!window.world) return;
+
+        const definitions = ItemDefinitions.getDefinitions();
+        const planned = new Set(); // Output keys, so each recipe is only planned once
+        for (const producer of window.world.entityManager.getByType('functional')) {
+            const recipe = producer.getRecipe();
+            if (!recipe || planned.has(recipe.output) || !producer.active || !producer.isAvailable(npc.id)) continue;
+
+            const output = definitions[recipe.output];
+            if (!output) continue;
+            const gains = this.scoreNeedGains(npc, output.satisfies, preferences);
+            if (gains.total <= 0) continue;
+
+            const ready = candidates.some(candidate => candidate.type === 'use_held' ?
+                candidate.satisfies[gains.mainNeed] > 0 :
+                (candidate.type === 'use_item' || candidate.type === 'wait') && candidate.target.canSatisfy(gains.mainNeed));
+            if (ready) continue;
+
+            planned.add(recipe.output);
+            const plan = GoalPlanner.getShared().plan(npc, { [`used:${recipe.output}`]: true }, `Make ${output.name}`, gains.mainNeed);
+            if (!plan) continue;
+
+            const stops = plan.steps.filter(step => step.type === 'pick_up' || (step.type === 'use' && !step.target.pending));
+            candidates.push({
+                type: 'plan',
+                score: gains.total * this.getDistanceFactor(npc, plan.travel) / (1 + plan.time * this.waitCost),
+                label: `${plan.name} (${stops.map(step => step.target.name).join(' > ')})`,
+                target: stops.length > 0 ? stops[stops.length - 1].target : null,
+                plan,
+                needType: gains.mainNeed
+            });
+        }
+    }
+
+    /**
+     * Score talking to the nearest NPC
+     * @param {NPC} npc
+     * @param {Object} preferences
+     * @param {Array<Object>} candidates
+     */
+    addSocialCandidate(npc, preferences, candidates) {
+        const others = npc.findNearbyNPCs(this.socialRadius)
+            .sort((a, b) => npc.getDistance(a) - npc.getDistance(b));
+
+        for (const other of others) {
+            const distance = npc.getDistance(other);
+            let steps = 0;
+            if (distance > 1) {
+                const path = npc.findPathTo(other.tileX, other.tileY, { adjacent: true });
+                if (!path) continue;
+                steps = path.length;
+            }
+
+            const gains = this.scoreNeedGains(npc, npc.getInteractionGains(), preferences);
+            const liking = npc.getRelationship(other) / 100; // Friends are nicer to talk to, enemies avoided
+            const score = gains.total * (0.5 + npc.personality.social) * (1 + liking * 0.5) *
+                this.getDistanceFactor(npc, steps);
+
+            candidates.push({
+                type: 'socialize',
+                score,
+                label: `Talk to ${other.name}`,
+                target: other,
+                needType: gains.mainNeed
+            });
+            return; // Only the nearest reachable NPC
+        }
+    }
+
+    /**
+     * Score helping nearby NPCs with a critical need (helpful NPCs look further afield)
+     * @param {NPC} npc
+     * @param {Array<Object>} candidates
+     */
+    addHelpCandidates(npc, candidates) {
+        const radius = Math.round(this.helpRadius * (1 + npc.personality.helpful));
+        for (const other of npc.findNearbyNPCs(radius)) {
+            if (!other.needs || !other.needsSystem) continue;
+            if (other.helper && other.helper !== npc) continue; // Someone is already on it
+
+            const needType = other.needsSystem.getMostUrgentNeed(other.needs);
+            if (!needType || !other.needsSystem.isNeedCritical(other.needs, needType)) continue;
+
+            if (other.targetItem && other.targetItem.canSatisfy(needType)) continue; // Already sorted
+
+            const plan = GoalPlanner.getShared().planHelp(npc, other, needType);
+            if (!plan) continue;
+
+            const urgency = other.needs[needType].priority;
+            const friendship = Math.max(0, npc.getRelationship(other)) / 100;
+            candidates.push({
+                type: 'help',
+                score: this.helpWeight * npc.personality.helpful * urgency * urgency * (1 + friendship * 0.5) *
+                    this.getDistanceFactor(npc, plan.travel),
+                label: plan.steps[plan.steps.length - 1].label,
+                target: other,
+                other,
+                plan,
+                needType
+            });
+        }
+    }
+
+    /**
+     * Score keeping to the current block of the NPC's schedule. A need at half scores about
+     * as much as a normal block, high blocks lose only to needs running low, and every block
+     * gives way while a need is critical.
+     * @param {NPC} npc
+     * @param {Array<Object>} candidates
+     */
+    addScheduleCandidate(npc, candidates) {
+        const block = npc.getScheduleBlock();
+        if (!block || !(block.priority in this.scheduleWeights) || npc.needsSystem.isCritical(npc.needs)) return;
+
+        const item = npc.findSchedulePlace(block);
+        const route = item ? npc.findPathToItem(item) : null;
+        if (!route) return;
+
+        candidates.push({
+            type: 'schedule',
+            score: this.scheduleWeights[block.priority] * this.getDistanceFactor(npc, route.path.length),
+            label: `${block.activity} at ${item.name} (until ${block.end})`,
+            target: item,
+            block,
+            needType: null
+        });
+    }
+
+    /**
+     * Score staying on an item already in use (the rest of its need changes, no travel)
+     * @param {NPC} npc
+     * @param {FunctionalItem} item
+     * @returns {number}
+     */
+    scoreContinuingUse(npc, item) {
+        const remaining = 1 - item.getUseProgress(npc.id);
+        const satisfies = {};
+        for (const [needType, amount] of Object.entries(item.getUseSatisfies(npc.id))) {
+            satisfies[needType] = amount * remaining;
+        }
+        if (item.users.size > 1) {
+            satisfies.social = (satisfies.social || 0) +
+                item.sharedSocialRate * (item.users.size - 1) * item.getUseDuration(npc.id) * remaining;
+        }
+        const preferences = window.timeSystem ? window.timeSystem.getActivityPreferences() : {};
+        return this.scoreNeedGains(npc, satisfies, preferences).total;
+    }
+
+    /**
+     * Score what a set of need changes is worth to an NPC right now
+     * @param {NPC} npc
+     * @param {Object} satisfies - {needType: amount}
+     * @param {Object} preferences - From TimeSystem.getActivityPreferences()
+     * @returns {Object} {total, mainNeed} - mainNeed is the need gaining the most
+     */
+    scoreNeedGains(npc, satisfies, preferences = {}) {
+        let total = 0;
+        let mainNeed = null;
+        let mainGain = 0;
+
+        for (const [needType, amount] of Object.entries(satisfies || {})) {
+            const need = npc.needs[needType];
+            if (!need) continue;
+
+            const before = 1 - need.value / need.max;
+            const after = 1 - Math.max(0, Math.min(need.max, need.value + amount)) / need.max;
+            const gain = (before * before - after * after) * this.getPreferenceMultiplier(npc, needType, preferences);
+
+            total += gain;
+            if (gain > mainGain) {
+                mainGain = gain;
+                mainNeed = needType;
+            }
+        }
+
+        return { total, mainNeed };
+    }
+
+    /**
+     * Get the time-of-day multiplier for a need (from the preference in its definition)
+     * @param {NPC} npc
+     * @param {string} needType
+     * @param {Object} preferences - From TimeSystem.getActivityPreferences()
+     * @returns {number}
+     */
+    getPreferenceMultiplier(npc, needType, preferences) {
+        const config = npc.needsSystem.needTypes[needType];
+        if (!config || !config.preference || preferences[config.preference] === undefined) return 1.0;
+        return preferences[config.preference] ? this.preferredMultiplier : this.discouragedMultiplier;
+    }
+
+    /**
+     * Discount for walking a number of steps (active NPCs mind it less)
+     * @param {NPC} npc
+     * @param {number} steps
+     * @returns {number} 0-1
+     */
+    getDistanceFactor(npc, steps) {
+        return 1 / (1 + steps * this.travelCost * (1.5 - npc.personality.active));
+    }
+}
@@ -61,6 +61,88 @@ class ActivityLogger {
         });
     }
 
+    /**
+     * Log a social interaction and how it went
+     * @param {NPC} npc1 - NPC who started it
+     * @param {NPC} npc2
+     * @param {string} verb - e.g. 'joked with', 'insulted'
+     * @param {string} outcome - e.g. '-12, now Unfriendly'
+     */
+    logSocialInteraction(npc1, npc2, verb, outcome) {
+        const message = `${npc1.name} ${verb} ${npc2.name} (${outcome})`;
+        this.log(message, 'interaction', {
+            npc1Id: npc1.id,
+            npc2Id: npc2.id,
+            npc1Name: npc1.name,
+            npc2Name: npc2.name
+        });
+    }
+
+    /**
+     * Log a couple forming, marrying or splitting up
+     * @param {NPC} npc1
+     * @param {NPC} npc2
+     * @param {string} description - e.g. 'got together', 'broke up'
+     */
+    logPartnership(npc1, npc2, description) {
+        const message = `${npc1.name} and ${npc2.name} ${description}`;
+        this.log(message, 'interaction', {
+            npc1Id: npc1.id,
+            npc2Id: npc2.id,
+            npc1Name: npc1.name,
+            npc2Name: npc2.name
+        });
+    }
+
+    /**
+     * Log gossip being passed on
+     * @param {NPC} teller
+     * @param {NPC} listener
+     * @param {string} description - What was told, e.g. 'Cara insulted Dan'
+     * @param {Entity} subject - Who it was about
+     * @param {number} change - Listener's relationship change with the subject
+     */
+    logGossip(teller, listener, description, subject, change) {
+        let message = `${teller.name} told ${listener.name} that ${description}`;
+        if (change !== 0) {
+            message += ` (${listener.name} ${change > 0 ? '+' : ''}${change} with ${subject.name})`;
+        }
+        this.log(message, 'interaction', {
+            npc1Id: teller.id,
+            npc2Id: listener.id,
+            npc1Name: teller.name,
+            npc2Name: listener.name
+        });
+    }
+
+    /**
+     * Log one NPC helping another
+     * @param {NPC} helper
+     * @param {NPC} recipient
+     * @param {string} description - What the helper did, e.g. 'brought Bob a Pizza'
+     */
+    logHelp(helper, recipient, description) {
+        const message = `${helper.name} ${description}`;
+        this.log(message, 'interaction', {
+            npc1Id: helper.id,
+            npc2Id: recipient.id,
+            npc1Name: helper.name,
+            npc2Name: recipient.name
+        });
+    }
+
+    /**
+     * Get the log verbs of a need from the NPC's need definitions
+     * @param {NPC} npc
+     * @param {string} needType
+     * @returns {Object} {seeking, satisfied}
+     */
+    getNeedVerbs(npc, needType) {
+        const needsSystem = npc.needsSystem || window.needsSystem;
+        const config = needsSystem ? needsSystem.needTypes[needType] : null;
+        return config && config.verbs ? config.verbs : {};
+    }
+
     /**
      * Log need satisfaction
      * @param {NPC} npc
@@ -68,14 +150,7 @@ class ActivityLogger {
      * @param {string} itemName
      */
     logNeedSatisfaction(npc, needType, itemName) {
-        const needNames = {
-            hunger: 'ate',
-            thirst: 'drank',
-            sleep: 'slept',
-            happiness: 'enjoyed',
-            social: 'socialized'
-        };
-        const action = needNames[needType] || 'used';
+        const action = this.getNeedVerbs(npc, needType).satisfied || 'used';
         const message = `${npc.name} ${action} ${itemName}`;
         this.log(message, 'need', { npcId: npc.id, needType, itemName });
     }
@@ -87,18 +162,97 @@ class ActivityLogger {
      * @param {string} itemName
      */
     logSeekingItem(npc, needType, itemName) {
-        const needNames = {
-            hunger: 'hungry',
-            thirst: 'thirsty',
-            sleep: 'tired',
-            happiness: 'unhappy',
-            social: 'lonely'
-        };
-        const feeling = needNames[needType] || 'needs something';
+        const feeling = this.getNeedVerbs(npc, needType).seeking || 'needs something';
         const message = `${npc.name} is ${feeling}, seeking ${itemName}`;
         this.log(message, 'action', { npcId: npc.id, needType, itemName });
     }
 
+    /**
+     * Log NPC queueing for an item
+     * @param {NPC} npc
+     * @param {string} itemName
+     */
+    logWaitingForItem(npc, itemName) {
+        const message = `${npc.name} is waiting for ${itemName}`;
+        this.log(message, 'action', { npcId: npc.id, itemName });
+    }
+
+    /**
+     * Log an order an NPC has started carrying out
+     * @param {NPC} npc
+     * @param {Object} command - From NPC.getCommandOptions
+     */
+    logCommand(npc, command) {
+        const message = `${npc.name} was told to ${command.label.charAt(0).toLowerCase() + command.label.slice(1)}`;
+        this.log(message, 'action', { npcId: npc.id, command: command.type, targetId: command.target.id });
+    }
+
+    /**
+     * Log an NPC setting off for a block of its schedule
+     * @param {NPC} npc
+     * @param {Object} block - Schedule block
+     * @param {FunctionalItem} item - Where it takes place
+     */
+    logSchedule(npc, block, item) {
+        const message = `${npc.name} is off to ${block.activity.toLowerCase()} at ${item.name} until ${block.end}`;
+        this.log(message, 'action', { npcId: npc.id, activity: block.activity, itemName: item.name });
+    }
+
+    /**
+     * Log a multi-step plan an NPC has started
+     * @param {NPC} npc
+     * @param {Object} plan - From GoalPlanner
+     */
+    logPlan(npc, plan) {
+        const message = `${npc.name} plans to ${plan.name.charAt(0).toLowerCase() + plan.name.slice(1)}: ${plan.steps.map(step => step.label).join(' > ')}`;
+        this.log(message, 'action', { npcId: npc.id, plan: plan.name });
+    }
+
+    /**
+     * Log the plan step an NPC is starting
+     * @param {NPC} npc
+     * @param {Object} plan - From GoalPlanner (index is the current step)
+     */
+    logPlanStep(npc, plan) {
+        const step = plan.steps[plan.index];
+        const message = `${npc.name} [${plan.index + 1}/${plan.steps.length}] ${step.label}`;
+        this.log(message, 'action', { npcId: npc.id, plan: plan.name, step: plan.index });
+    }
+
+    /**
+     * Log an item use that ended early, with the need changes gained so far
+     * @param {NPC} npc
+     * @param {string} itemName
+     * @param {Object} gains - {needType: points}
+     * @param {string} reason - Why the NPC stopped
+     */
+    logPartialSatisfaction(npc, itemName, gains, reason) {
+        const needsSystem = npc.needsSystem || window.needsSystem;
+        const changes = Object.entries(gains)
+            .filter(([, amount]) => Math.round(amount) !== 0)
+            .map(([needType, amount]) => {
+                const config = needsSystem ? needsSystem.needTypes[needType] : null;
+                const name = config ? config.name.toLowerCase() : needType;
+                return `${amount > 0 ? '+' : ''}${Math.round(amount)} ${name}`;
+            });
+        
+        const message = `${npc.name} stopped using ${itemName} (${reason})` +
+            (changes.length > 0 ? `: ${changes.join(', ')}` : '');
+        this.log(message, 'need', { npcId: npc.id, itemName, gains: Object.assign({}, gains), reason });
+    }
+
+    /**
+     * Log a new day or season starting
+     * @param {Object} event - From a TimeSystem listener
+     */
+    logCalendar(event) {
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const message = event.type === 'season' ?
+            `${capitalize(event.season)} has begun (Year ${event.year})` :
+            `A new day: ${capitalize(event.weekday)}, ${capitalize(event.season)} ${event.dayOfSeason}, Year ${event.year}`;
+        this.log(message, 'info', { calendar: event.type, day: event.day });
+    }
+
     /**
      * Add listener for new log entries
      * @param {Function} callback
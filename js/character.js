@@ -1,12 +1,10 @@
 /**
- * Character - Represents a playable or NPC character
+ * Character - The player, an entity that walks, talks to NPCs and uses items
  */
-class Character {
+class Character extends Entity {
     constructor(x = 0, y = 0) {
-        this.tileX = x;  // Current tile position
-        this.tileY = y;
-        this.pixelX = x * 32;  // Current pixel position (for smooth movement)
-        this.pixelY = y * 32;
+        super(x, y, 'player', 'player'); // NPCs keep relationships by id
+        this.layer = 'characters';
         this.targetPixelX = this.pixelX;
         this.targetPixelY = this.pixelY;
         
@@ -22,6 +20,19 @@ class Character {
         this.tileset = 'character';
         this.spriteWidth = 32;
         this.spriteHeight = 48;  // Character sprites are taller than tiles
+        
+        this.name = 'Player';
+        this.inventory = new Inventory(8);
+        this.conversation = null; // Dialogue with an NPC in progress
+        
+        // Needs are optional for the player (off by default)
+        this.needsEnabled = false;
+        this.needs = null;
+        this.needsSystem = null;
+        
+        // Item use
+        this.usingItem = null; // FunctionalItem in use
+        this.useGains = {}; // Need changes from the current use, for the log
     }
 
     /**
@@ -38,10 +49,188 @@ class Character {
     }
 
     /**
-     * Update character position and animation
-     * @param {number} deltaTime - Time since last update in milliseconds
+     * Update needs and item use (simulation time, called by the EntityManager)
+     * @param {number} deltaTime - Simulation milliseconds
      */
     update(deltaTime) {
+        const deltaSeconds = deltaTime / 1000;
+        
+        if (this.needsEnabled) {
+            this.updateNeeds(deltaSeconds);
+        }
+        
+        if (this.usingItem) {
+            const item = this.usingItem;
+            if (!item.users.has(this.id)) {
+                this.usingItem = null; // The item went away or was reset
+            } else {
+                const choice = item.getUserChoice(this.id); // Gone once the use completes
+                this.applyItemUseGains(item, Math.min(deltaSeconds, item.getUseDuration(this.id) - item.getUseTime(this.id)));
+                if (item.updateUse(deltaSeconds, this.id)) {
+                    this.completeItemUse(item, choice);
+                }
+            }
+        }
+    }
+
+    /**
+     * Decay needs, creating them first if they were just turned on
+     * @param {number} deltaSeconds - Simulation seconds
+     */
+    updateNeeds(deltaSeconds) {
+        if (!this.needsSystem) {
+            this.needsSystem = window.needsSystem || null;
+            if (!this.needsSystem) return;
+        }
+        if (!this.needs) {
+            this.needs = this.needsSystem.initializeNeeds();
+        }
+        this.needsSystem.updateNeeds(this.needs, deltaSeconds, window.timeSystem || null);
+    }
+
+    /**
+     * Turn the player's needs on or off
+     * @param {boolean} enabled
+     */
+    setNeedsEnabled(enabled) {
+        this.needsEnabled = enabled;
+        if (!enabled) {
+            this.needs = null;
+        }
+    }
+
+    /**
+     * Start using an item from the tile we stand on
+     * @param {FunctionalItem} item
+     * @returns {boolean} Success
+     */
+    useItem(item) {
+        if (this.usingItem) return false;
+        
+        const recipe = item.getRecipe();
+        if (recipe && this.inventory.getHeldKey() !== recipe.input) return false; // Nothing to cook with
+        if (!item.startUse(this.id, this.tileX, this.tileY)) return false;
+        
+        this.usingItem = item;
+        this.useGains = {};
+        this.faceTowards(item.tileX, item.tileY);
+        
+        if (window.activityLogger) {
+            const itemName = item.getUseDefinition(item.getUserChoice(this.id)).name;
+            window.activityLogger.log(`${this.name} started using ${itemName}`, 'action', { itemId: item.id });
+        }
+        this.joinCoUsers(item);
+        return true;
+    }
+
+    /**
+     * Let NPCs already using an item warm to us for sharing it
+     * @param {FunctionalItem} item
+     */
+    joinCoUsers(item) {
+        if (!window.world) return;
+        
+        for (const userId of item.getUserIds()) {
+            const other = window.world.entityManager.get(userId);
+            if (!other || other.type !== 'npc') continue;
+            
+            other.updateRelationship(this, 2);
+            other.recordInteraction(this, 'share');
+            if (window.activityLogger) {
+                window.activityLogger.logNPCInteraction(this, other, `shared the ${item.name}`);
+            }
+        }
+    }
+
+    /**
+     * Apply an item's need changes for a slice of use time (only while needs are on)
+     * @param {FunctionalItem} item
+     * @param {number} seconds - Use time to apply
+     */
+    applyItemUseGains(item, seconds) {
+        if (!this.needsEnabled || !this.needs || seconds <= 0) return;
+        
+        for (const needType of Object.keys(item.getUseSatisfies(this.id))) {
+            const need = this.needs[needType];
+            if (!need) continue;
+            
+            const before = need.value;
+            const amount = item.getSatisfactionRate(needType, this.id) * seconds;
+            if (amount >= 0) {
+                this.needsSystem.satisfyNeed(this.needs, needType, amount);
+            } else {
+                need.value = Math.max(0, need.value + amount);
+            }
+            this.useGains[needType] = (this.useGains[needType] || 0) + (need.value - before);
+        }
+    }
+
+    /**
+     * Finish using an item: take what it yields or cook with what we hold
+     * @param {FunctionalItem} item
+     * @param {string|null} choice - What we used it for (e.g. a Fridge's contents)
+     */
+    completeItemUse(item, choice) {
+        const itemName = item.getUseDefinition(choice).name;
+        const taken = item.getYield(choice);
+        const recipe = item.getRecipe();
+        let message = `${this.name} used ${itemName}`;
+        
+        if (taken) {
+            const added = this.inventory.addDefinition(taken);
+            message = `${this.name} ${added ? 'took' : 'has no room for'} ${itemName}`;
+        } else if (recipe && this.inventory.getHeldKey() === recipe.input) {
+            this.inventory.take();
+            const made = item.produce();
+            if (made) message = `${this.name} cooked ${made.name} at ${item.name}`;
+        }
+        
+        if (window.activityLogger) {
+            window.activityLogger.log(message, 'need', { itemId: item.id, gains: Object.assign({}, this.useGains) });
+        }
+        this.usingItem = null;
+        this.useGains = {};
+    }
+
+    /**
+     * Stop using an item before it is finished
+     * @param {string} reason - Why we stopped (for the log)
+     */
+    stopUsingItem(reason) {
+        const item = this.usingItem;
+        if (!item) return;
+        
+        const itemName = item.getUseDefinition(item.getUserChoice(this.id)).name;
+        item.stopUse(this.id);
+        if (window.activityLogger) {
+            window.activityLogger.logPartialSatisfaction(this, itemName, this.useGains, reason);
+        }
+        this.usingItem = null;
+        this.useGains = {};
+    }
+
+    /**
+     * Face a tile
+     * @param {number} x
+     * @param {number} y
+     */
+    faceTowards(x, y) {
+        const dx = x - this.tileX;
+        const dy = y - this.tileY;
+        if (dx === 0 && dy === 0) return;
+        
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.direction = dx > 0 ? 2 : 1; // Right / Left
+        } else {
+            this.direction = dy > 0 ? 0 : 3; // Down / Up
+        }
+    }
+
+    /**
+     * Update character position and animation (real time, called every frame)
+     * @param {number} deltaTime - Time since last update in milliseconds
+     */
+    updateMovement(deltaTime) {
         // Handle movement
         if (this.isMoving) {
             const dx = this.targetPixelX - this.pixelX;
@@ -86,6 +275,7 @@ class Character {
      */
     move(direction, canMoveTo = null) {
         if (this.isMoving) return;  // Already moving
+        if (this.usingItem) this.stopUsingItem('walked away');
         
         this.direction = direction;
         
@@ -136,14 +326,41 @@ class Character {
     }
 
     /**
-     * Get pixel position for rendering
-     * @returns {Object} {x, y} pixel coordinates
+     * Get the tile the character is facing
+     * @returns {Object} {x, y}
      */
-    getPixelPosition() {
-        return {
-            x: this.pixelX,
-            y: this.pixelY
-        };
+    getFacingTile() {
+        const offsets = [{ x: 0, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: -1 }];
+        const offset = offsets[this.direction] || offsets[0];
+        return { x: this.tileX + offset.x, y: this.tileY + offset.y };
+    }
+
+    /**
+     * Serialize character data (map file format)
+     * @returns {Object}
+     */
+    serialize() {
+        const data = super.serialize();
+        data.direction = this.direction;
+        data.inventory = this.inventory.serialize();
+        data.needsEnabled = this.needsEnabled;
+        data.needs = this.needs;
+        return data;
     }
-}
 
+    /**
+     * Deserialize character data
+     * @param {Object} data
+     */
+    deserialize(data) {
+        super.deserialize(data);
+        this.type = 'player'; // Older maps saved the player without a type
+        this.setPosition(data.tileX || 0, data.tileY || 0);
+        this.direction = data.direction || 0;
+        if (data.inventory) {
+            this.inventory.deserialize(data.inventory);
+        }
+        this.needsEnabled = !!data.needsEnabled;
+        this.needs = this.needsEnabled && data.needs ? data.needs : null;
+    }
+}
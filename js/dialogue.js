@@ -0,0 +1,304 @@
+/**
+ * Dialogue - Branching conversations between the player and NPCs
+ *
+ * A tree is plain JSON so it can be edited in the panel and saved with the map:
+ *   {
+ *     start: ['friend', 'greeting'],         // Node id, or ids tried in order (first whose conditions pass)
+ *     nodes: {
+ *       greeting: {
+ *         text: 'Hello!',
+ *         conditions: [...],                 // Optional, checked when the node is reached
+ *         effects: [...],                    // Optional, applied when the node is shown
+ *         next: 'other',                     // Optional, for nodes without choices (missing = end)
+ *         choices: [{ text, next, conditions, effects }]
+ *       }
+ *     }
+ *   }
+ *
+ * Conditions: {type: 'need', need, below|above} (percent of the NPC's need),
+ * {type: 'relationship', min|max} (NPC towards the player), {type: 'time', times: ['night', ...]}.
+ * Effects: {type: 'relationship', change}, {type: 'satisfy', need, amount} (the NPC's need).
+ */
+class DialogueTree {
+    /**
+     * Get the tree NPCs start with
+     * @returns {Object}
+     */
+    static createDefault() {
+        return {
+            start: ['sleepy', 'friend', 'greeting'],
+            nodes: {
+                sleepy: {
+                    text: "*yawn* It's late, I should get some sleep.",
+                    conditions: [{ type: 'time', times: ['night'] }],
+                    choices: [
+                        { text: 'Good night!', effects: [{ type: 'relationship', change: 1 }] },
+                        { text: 'Sorry to bother you.' }
+                    ]
+                },
+                friend: {
+                    text: 'Hey, good to see you again!',
+                    conditions: [{ type: 'relationship', min: 20 }],
+                    next: 'greeting'
+                },
+                greeting: {
+                    text: 'Hello! How can I help you?',
+                    choices: [
+                        { text: 'How are you doing?', next: ['lonely', 'fine'] },
+                        {
+                            text: 'Want to chat for a bit?',
+                            conditions: [{ type: 'need', need: 'social', below: 60 }],
+                            next: 'chat'
+                        },
+                        { text: 'Goodbye.' }
+                    ]
+                },
+                lonely: {
+                    text: "Honestly? A bit lonely. Nobody's talked to me all day.",
+                    conditions: [{ type: 'need', need: 'social', below: 30 }],
+                    choices: [
+                        { text: "Let's talk, then.", next: 'chat' },
+                        { text: "That's rough. See you.", effects: [{ type: 'relationship', change: -1 }] }
+                    ]
+                },
+                fine: {
+                    text: "Pretty good, thanks for asking!",
+                    effects: [{ type: 'relationship', change: 1 }],
+                    next: 'greeting'
+                },
+                chat: {
+                    text: 'That was nice. Thanks for the company!',
+                    effects: [
+                        { type: 'satisfy', need: 'social', amount: 15 },
+                        { type: 'relationship', change: 3 }
+                    ]
+                }
+            }
+        };
+    }
+
+    /**
+     * Build a linear tree from lines of text (the old flat dialogue format)
+     * @param {Array<string>} lines
+     * @returns {Object}
+     */
+    static fromLines(lines) {
+        const nodes = {};
+        lines.forEach((text, index) => {
+            nodes[`line${index}`] = { text: String(text) };
+            if (index < lines.length - 1) {
+                nodes[`line${index}`].next = `line${index + 1}`;
+            }
+        });
+        return { start: 'line0', nodes };
+    }
+
+    /**
+     * Check a tree for mistakes
+     * @param {Object} tree
+     * @returns {Array<string>} Problems found (empty if valid)
+     */
+    static validate(tree) {
+        const errors = [];
+        if (!tree || typeof tree !== 'object' || !tree.nodes || typeof tree.nodes !== 'object') {
+            return ['The tree needs a "nodes" object'];
+        }
+
+        const checkNext = (next, where) => {
+            if (next === undefined || next === null) return;
+            const ids = Array.isArray(next) ? next : [next];
+            for (const id of ids) {
+                if (!tree.nodes[id]) errors.push(`${where}: unknown node "${id}"`);
+            }
+        };
+        const checkList = (list, types, where) => {
+            if (list === undefined) return;
+            if (!Array.isArray(list)) {
+                errors.push(`${where} must be a list`);
+                return;
+            }
+            for (const entry of list) {
+                if (!entry || !types.includes(entry.type)) {
+                    errors.push(`${where}: type must be one of ${types.join(', ')}`);
+                }
+            }
+        };
+
+        if (tree.start === undefined) {
+            errors.push('The tree needs a "start" node');
+        }
+        checkNext(tree.start, 'start');
+
+        for (const [id, node] of Object.entries(tree.nodes)) {
+            if (!node || typeof node.text !== 'string') {
+                errors.push(`Node "${id}" needs text`);
+                continue;
+            }
+            checkNext(node.next, `Node "${id}"`);
+            checkList(node.conditions, ['need', 'relationship', 'time'], `Node "${id}" conditions`);
+            checkList(node.effects, ['relationship', 'satisfy'], `Node "${id}" effects`);
+
+            if (node.choices === undefined) continue;
+            if (!Array.isArray(node.choices)) {
+                errors.push(`Node "${id}" choices must be a list`);
+                continue;
+            }
+            node.choices.forEach((choice, index) => {
+                const where = `Node "${id}" choice ${index + 1}`;
+                if (!choice || typeof choice.text !== 'string') {
+                    errors.push(`${where} needs text`);
+                    return;
+                }
+                checkNext(choice.next, where);
+                checkList(choice.conditions, ['need', 'relationship', 'time'], `${where} conditions`);
+                checkList(choice.effects, ['relationship', 'satisfy'], `${where} effects`);
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * Check conditions
+     * @param {Array<Object>} conditions
+     * @param {NPC} npc
+     * @param {Object} player
+     * @returns {boolean} True if all pass (or there are none)
+     */
+    static checkConditions(conditions, npc, player) {
+        if (!conditions) return true;
+
+        return conditions.every(condition => {
+            switch (condition.type) {
+                case 'need': {
+                    const need = npc.needs && npc.needs[condition.need];
+                    if (!need) return false;
+                    const percent = (need.value / need.max) * 100;
+                    if (condition.below !== undefined && percent >= condition.below) return false;
+                    if (condition.above !== undefined && percent <= condition.above) return false;
+                    return true;
+                }
+                case 'relationship': {
+                    const value = npc.getRelationship(player);
+                    if (condition.min !== undefined && value < condition.min) return false;
+                    if (condition.max !== undefined && value > condition.max) return false;
+                    return true;
+                }
+                case 'time':
+                    return !!window.timeSystem && (condition.times || []).includes(window.timeSystem.getTimeOfDay());
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * Apply effects
+     * @param {Array<Object>} effects
+     * @param {NPC} npc
+     * @param {Object} player
+     */
+    static applyEffects(effects, npc, player) {
+        if (!effects) return;
+
+        for (const effect of effects) {
+            switch (effect.type) {
+                case 'relationship':
+                    npc.updateRelationship(player, effect.change || 0);
+                    break;
+                case 'satisfy':
+                    if (npc.needs && npc.needsSystem) {
+                        npc.needsSystem.satisfyNeed(npc.needs, effect.need, effect.amount || 0);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Pick the node to go to
+     * @param {Object} tree
+     * @param {string|Array<string>} next - Node id, or ids tried in order
+     * @param {NPC} npc
+     * @param {Object} player
+     * @returns {string|null} Node id, or null to end the conversation
+     */
+    static resolve(tree, next, npc, player) {
+        if (next === undefined || next === null) return null;
+
+        const ids = Array.isArray(next) ? next : [next];
+        return ids.find(id => tree.nodes[id] && DialogueTree.checkConditions(tree.nodes[id].conditions, npc, player)) || null;
+    }
+}
+
+/**
+ * Conversation - A dialogue in progress between the player and an NPC
+ */
+class Conversation {
+    constructor(npc, player) {
+        this.npc = npc;
+        this.player = player;
+        this.tree = npc.dialogueTree;
+        this.nodeId = null;
+        this.node = null;
+        this.ended = false;
+
+        npc.inDialogue = true;
+        this.goTo(this.tree.start);
+    }
+
+    /**
+     * Move to a node (ends the conversation if there is none to go to)
+     * @param {string|Array<string>} next
+     */
+    goTo(next) {
+        const id = DialogueTree.resolve(this.tree, next, this.npc, this.player);
+        if (!id) {
+            this.end();
+            return;
+        }
+
+        this.nodeId = id;
+        this.node = this.tree.nodes[id];
+        DialogueTree.applyEffects(this.node.effects, this.npc, this.player);
+    }
+
+    /**
+     * Get the choices the player has at the current node
+     * @returns {Array<Object>} Choices whose conditions pass
+     */
+    getChoices() {
+        if (!this.node || !Array.isArray(this.node.choices)) return [];
+        return this.node.choices.filter(choice => DialogueTree.checkConditions(choice.conditions, this.npc, this.player));
+    }
+
+    /**
+     * Pick a choice
+     * @param {number} index - Into getChoices()
+     * @returns {boolean} False if there is no such choice
+     */
+    choose(index) {
+        const choice = this.getChoices()[index];
+        if (!choice) return false;
+
+        DialogueTree.applyEffects(choice.effects, this.npc, this.player);
+        this.goTo(choice.next);
+        return true;
+    }
+
+    /**
+     * Continue past a node without choices
+     */
+    advance() {
+        if (this.getChoices().length > 0) return;
+        this.goTo(this.node ? this.node.next : null);
+    }
+
+    /**
+     * Leave the conversation
+     */
+    end() {
+        this.ended = true;
+        this.node = null;
+        this.npc.inDialogue = false;
+    }
+}
@@ -6,13 +6,23 @@ class EntityManager {
         this.entities = new Map(); // Map<id, Entity>
         this.entitiesByType = new Map(); // Map<type, Set<Entity>>
         this.entitiesByPosition = new Map(); // Map<"x,y", Set<Entity>>
+        this.positionKeys = new Map(); // Map<Entity, "x,y"> where each entity is indexed
+        this.blockingVersion = 0; // Bumped when entities that may block tiles come, go or move (see World.getCollisionVersion)
     }
 
     /**
      * Add an entity
      * @param {Entity} entity
+     * @returns {string|null} Its ID, or null if another entity already has it
      */
     add(entity) {
+        // Saved relationships, memories and reservations refer to entities by ID, so never rename one
+        const existing = this.entities.get(entity.id);
+        if (existing && existing !== entity) {
+            console.error(`Entity ID ${entity.id} is already taken by ${existing.name || existing.type}; ${entity.name || entity.type} was not added`);
+            return null;
+        }
+        
         this.entities.set(entity.id, entity);
         
         // Index by type (use 'functional' for functional items)
@@ -24,6 +34,7 @@ class EntityManager {
         
         // Index by position
         this.indexEntityPosition(entity);
+        this.blockingVersion++;
         
         return entity.id;
     }
@@ -46,6 +57,7 @@ class EntityManager {
         
         // Remove from position index
         this.unindexEntityPosition(entity);
+        this.blockingVersion++;
     }
 
     /**
@@ -125,6 +137,7 @@ class EntityManager {
      */
     indexEntityPosition(entity) {
         const key = `${entity.tileX},${entity.tileY}`;
+        this.positionKeys.set(entity, key);
         if (!this.entitiesByPosition.has(key)) {
             this.entitiesByPosition.set(key, new Set());
         }
@@ -136,7 +149,9 @@ class EntityManager {
      * @param {Entity} entity
      */
     unindexEntityPosition(entity) {
-        const key = `${entity.tileX},${entity.tileY}`;
+        const key = this.positionKeys.get(entity);
+        if (key === undefined) return;
+        this.positionKeys.delete(entity);
         const set = this.entitiesByPosition.get(key);
         if (set) {
             set.delete(entity);
@@ -151,16 +166,26 @@ class EntityManager {
      * @param {Entity} entity
      */
     updateEntityPosition(entity) {
-        // Check if position changed
-        const oldKey = `${Math.floor(entity.pixelX / 32)},${Math.floor(entity.pixelY / 32)}`;
+        // Check if position changed since it was indexed
+        const oldKey = this.positionKeys.get(entity);
         const newKey = `${entity.tileX},${entity.tileY}`;
         
         if (oldKey !== newKey) {
             this.unindexEntityPosition(entity);
             this.indexEntityPosition(entity);
+            if (entity.isBlocking()) {
+                this.blockingVersion++;
+            }
         }
     }
 
+    /**
+     * Note that an entity started or stopped blocking its tile
+     */
+    markBlockingChanged() {
+        this.blockingVersion++;
+    }
+
     /**
      * Clear all entities
      */
@@ -168,6 +193,8 @@ class EntityManager {
         this.entities.clear();
         this.entitiesByType.clear();
         this.entitiesByPosition.clear();
+        this.positionKeys.clear();
+        this.blockingVersion++;
     }
 
     /**
@@ -2,8 +2,8 @@
  * Base Entity class - Represents any interactive object on the map
  */
 class Entity {
-    constructor(x = 0, y = 0, type = 'entity') {
-        this.id = `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    constructor(x = 0, y = 0, type = 'entity', id = null) {
+        this.id = id || Entity.generateId(); // A fixed id skips the RNG (e.g. the player)
         this.type = type; // 'npc', 'monster', 'item', 'player', etc.
         
         // Position
@@ -29,6 +29,20 @@ class Entity {
         this.markedForRemoval = false;
     }
 
+    /**
+     * Generate an entity ID from the seeded simulation RNG
+     * (a reseeded run can repeat one, so IDs already on the map are drawn again)
+     * @returns {string}
+     */
+    static generateId() {
+        const entityManager = window.world ? window.world.entityManager : null;
+        let id;
+        do {
+            id = `entity_${SeededRandom.getShared().nextId()}`;
+        } while (entityManager && entityManager.get(id));
+        return id;
+    }
+
     /**
      * Update entity (called every frame)
      * @param {number} deltaTime - Time since last update in milliseconds
@@ -84,6 +98,23 @@ class Entity {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Get the current simulation time
+     * @returns {number} Simulation milliseconds elapsed on the game clock
+     */
+    getGameTime() {
+        return TimeSystem.getGameTime();
+    }
+
+    /**
+     * Check if entity blocks movement onto its tile
+     * @returns {boolean}
+     */
+    isBlocking() {
+        // Override in subclasses
+        return false;
+    }
+
     /**
      * Handle interaction (clicked by player)
      * @param {Entity} interactor - Entity that interacted (usually player)
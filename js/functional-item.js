@@ -10,10 +10,29 @@ class FunctionalItem extends Item {
         this.itemDef = itemDef || this.getDefaultDefinition();
         
         // Usage properties
-        this.inUse = false;
-        this.usedBy = null; // Entity ID using this item
-        this.useTime = 0; // Time spent using (seconds)
+        this.users = new Map(); // Map<entityId, {slot, useTime, choice}> - useTime in seconds
+        this.capacity = this.itemDef.capacity || 1; // How many entities can use it at once
         this.maxUseTime = this.itemDef.useTime || 5; // Seconds to use
+        this.timesUsed = 0; // Number of uses started (for balancing reports)
+        this.sharedSocialRate = 2; // Social per second for each other entity using it at the same time
+        
+        // Reservations and waiting (game clock milliseconds)
+        this.reservations = new Map(); // Map<entityId, {slot, time}> - slots claimed by entities on their way
+        this.queue = []; // [{entityId, time}] - entities waiting for a slot, first come first served
+        this.reservationTimeout = 20000; // Drop a reservation nobody turned up for
+        this.queueTimeout = 30000; // Drop a waiting entity after this long
+        
+        // Servings: consumables run out, containers hold servings of other items
+        this.consumable = this.itemDef.consumable || false;
+        this.contents = this.itemDef.contents ? Object.assign({}, this.itemDef.contents) : null; // {defKey: servings}
+        this.maxQuantity = this.itemDef.servings || 1;
+        this.quantity = this.maxQuantity;
+        this.restockTimer = 0; // Game minutes since the last scheduled restock
+        this.fullSprite = null; // Sprite to restore when an emptied item is restocked
+        this.defKey = null; // ItemDefinitions key it was created from (set by createItem)
+        
+        // Collision
+        this.blocksMovement = this.itemDef.blocksMovement || false; // Blocks its tile even when not in use
         
         // Visual state
         this.bobbing = false; // Functional items don't bob
@@ -39,43 +58,494 @@ class FunctionalItem extends Item {
      * @returns {boolean}
      */
     canSatisfy(needType) {
-        return this.itemDef.satisfies && this.itemDef.satisfies[needType] > 0;
+        return this.getUseOptions().some(option => option.satisfies[needType] > 0);
     }
 
     /**
      * Get satisfaction amount for a need
      * @param {string} needType - Type of need
+     * @param {string} choice - Container content key
      * @returns {number}
      */
-    getSatisfactionAmount(needType) {
-        return this.itemDef.satisfies[needType] || 0;
+    getSatisfactionAmount(needType, choice = null) {
+        return this.getUseDefinition(choice).satisfies[needType] || 0;
+    }
+
+    /**
+     * Get how much of a need is satisfied per second of use
+     * @param {string} needType - Type of need
+     * @param {string} entityId - User (containers satisfy by what the user took)
+     * @returns {number}
+     */
+    getSatisfactionRate(needType, entityId = null) {
+        const choice = this.getUserChoice(entityId);
+        return this.getSatisfactionAmount(needType, choice) / this.getUseDefinition(choice).useTime;
+    }
+
+    /**
+     * Get what using the item means: the item itself, or a serving taken from a container
+     * @param {string} choice - Container content key
+     * @returns {Object} {name, satisfies, useTime}
+     */
+    getUseDefinition(choice = null) {
+        if (this.contents && choice) {
+            const def = ItemDefinitions.getDefinitions()[choice];
+            if (def) {
+                return {
+                    name: `${def.name} from ${this.name}`,
+                    satisfies: def.satisfies || {},
+                    useTime: def.useTime || this.maxUseTime
+                };
+            }
+        }
+        return { name: this.name, satisfies: this.itemDef.satisfies || {}, useTime: this.maxUseTime };
+    }
+
+    /**
+     * Get the ways the item can be used right now
+     * @returns {Array<Object>} [{choice, name, satisfies, useTime}] - choice is null except for containers
+     */
+    getUseOptions() {
+        if (!this.contents) {
+            return [Object.assign({ choice: null }, this.getUseDefinition())];
+        }
+        return Object.entries(this.contents)
+            .filter(([, servings]) => servings > 0)
+            .map(([key]) => Object.assign({ choice: key }, this.getUseDefinition(key)));
+    }
+
+    /**
+     * Pick the container content that best satisfies a need
+     * @param {string} needType
+     * @returns {string|null} Content key
+     */
+    chooseContentFor(needType) {
+        let best = null;
+        for (const option of this.getUseOptions()) {
+            if (!best || (option.satisfies[needType] || 0) > (best.satisfies[needType] || 0)) {
+                best = option;
+            }
+        }
+        return best ? best.choice : null;
+    }
+
+    /**
+     * Get what an entity took from the item
+     * @param {string} entityId
+     * @returns {string|null} Container content key
+     */
+    getUserChoice(entityId) {
+        const user = this.users.get(entityId);
+        return user ? user.choice : null;
+    }
+
+    /**
+     * Get what an entity's current use satisfies
+     * @param {string} entityId
+     * @returns {Object} {needType: amount}
+     */
+    getUseSatisfies(entityId) {
+        return this.getUseDefinition(this.getUserChoice(entityId)).satisfies;
+    }
+
+    /**
+     * Get how long an entity's current use takes
+     * @param {string} entityId
+     * @returns {number} Seconds
+     */
+    getUseDuration(entityId) {
+        return this.getUseDefinition(this.getUserChoice(entityId)).useTime;
+    }
+
+    /**
+     * Check if the item runs out (consumable or container)
+     * @returns {boolean}
+     */
+    hasServings() {
+        return this.consumable || this.contents !== null;
+    }
+
+    /**
+     * Get servings left
+     * @returns {number} Infinity for items that never run out
+     */
+    getServings() {
+        if (this.contents) {
+            return Object.values(this.contents).reduce((sum, servings) => sum + servings, 0);
+        }
+        return this.consumable ? this.quantity : Infinity;
+    }
+
+    /**
+     * Check if the item has run out
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.hasServings() && this.getServings() <= 0;
+    }
+
+    /**
+     * Take one serving
+     * @param {string} choice - Container content key
+     * @returns {boolean} False if there was nothing to take
+     */
+    takeServing(choice = null) {
+        if (this.contents) {
+            if (!(this.contents[choice] > 0)) return false;
+            this.contents[choice]--;
+        } else if (this.consumable) {
+            if (this.quantity <= 0) return false;
+            this.quantity--;
+        }
+        return true;
+    }
+
+    /**
+     * Refill servings up to the definition's amounts
+     * @param {number} amount - Servings to add (per content for containers)
+     * @returns {number} Servings added
+     */
+    restock(amount = Infinity) {
+        if (!this.hasServings()) return 0;
+        
+        const before = this.getServings();
+        if (this.contents) {
+            for (const [key, max] of Object.entries(this.itemDef.contents)) {
+                this.contents[key] = Math.min(max, (this.contents[key] || 0) + amount);
+            }
+        } else {
+            this.quantity = Math.min(this.maxQuantity, this.quantity + amount);
+        }
+        
+        if (this.fullSprite && !this.isEmpty()) {
+            this.sprite = this.fullSprite;
+            this.fullSprite = null;
+        }
+        return this.getServings() - before;
+    }
+
+    /**
+     * Check if servings are at the definition's amounts
+     * @returns {boolean}
+     */
+    isFullyStocked() {
+        if (this.contents) {
+            return Object.entries(this.itemDef.contents).every(([key, max]) => (this.contents[key] || 0) >= max);
+        }
+        return !this.consumable || this.quantity >= this.maxQuantity;
+    }
+
+    /**
+     * Check if the item can be picked up and carried off
+     * itemDef.carriable overrides the default: consumables that are not containers.
+     * @returns {boolean}
+     */
+    isCarriable() {
+        const carriable = this.itemDef.carriable !== undefined ? this.itemDef.carriable : (this.consumable && !this.contents);
+        return carriable && this.users.size === 0;
+    }
+
+    /**
+     * Get what an entity carries away from a use instead of consuming it
+     * @param {string} choice - Container content key
+     * @returns {string|null} Ingredient definition key, or null for ordinary uses
+     */
+    getYield(choice = null) {
+        const key = this.contents ? choice : this.defKey;
+        const def = key ? ItemDefinitions.getDefinitions()[key] : null;
+        return def && def.category === 'ingredient' ? key : null;
+    }
+
+    /**
+     * Get the recipe the item cooks, if it is a producer
+     * @returns {Object|null} {input, output, servedOn} - definition keys
+     */
+    getRecipe() {
+        return this.itemDef.recipe || null;
+    }
+
+    /**
+     * Spawn the recipe's output, served on the nearest free servedOn item
+     * (e.g. a Table), or next to the producer if there is none
+     * @returns {FunctionalItem|null} The new item
+     */
+    produce() {
+        const recipe = this.getRecipe();
+        if (!recipe || !window.world) return null;
+        
+        const spot = this.findServingSpot(recipe.servedOn);
+        if (!spot) {
+            console.warn(`No room to serve ${recipe.output} from ${this.name}`);
+            return null;
+        }
+        
+        const item = ItemDefinitions.createItem(recipe.output, spot.x, spot.y);
+        if (item) {
+            window.world.entityManager.add(item);
+        }
+        return item;
+    }
+
+    /**
+     * Find a tile to put a produced item on
+     * @param {string} servedOn - Definition key of items to serve on
+     * @returns {Object|null} {x, y}
+     */
+    findServingSpot(servedOn) {
+        const entityManager = window.world.entityManager;
+        const occupied = (x, y, except) => entityManager.getAtPosition(x, y)
+            .some(e => e.active && e !== except && e.type === 'functional');
+        
+        if (servedOn) {
+            const surfaces = entityManager.getByType('functional')
+                .filter(e => e.active && e.defKey === servedOn && !occupied(e.tileX, e.tileY, e))
+                .sort((a, b) => this.getDistance(a) - this.getDistance(b));
+            if (surfaces.length > 0) {
+                return { x: surfaces[0].tileX, y: surfaces[0].tileY };
+            }
+        }
+        
+        for (const slot of this.getSlotOffsets()) {
+            const x = this.tileX + slot.x;
+            const y = this.tileY + slot.y;
+            if (window.world.canMoveTo(x, y) && !occupied(x, y, null)) {
+                return { x, y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Switch to the empty sprite (or vanish, with onEmpty: 'remove') once used up and vacated.
+     * Empty items stay on the map so a restock can refill them.
+     */
+    updateEmptyState() {
+        if (!this.isEmpty() || this.users.size > 0) return;
+        
+        const onEmpty = this.itemDef.onEmpty || 'empty';
+        if (onEmpty === 'remove') {
+            this.remove();
+        } else if (this.itemDef.emptySprite && !this.fullSprite) {
+            this.fullSprite = this.sprite;
+            const empty = this.itemDef.emptySprite;
+            this.setSprite(empty.tileset, empty.tileX, empty.tileY);
+        }
+    }
+
+    /**
+     * Check if anyone is using the item
+     * @returns {boolean}
+     */
+    get inUse() {
+        return this.users.size > 0;
+    }
+
+    /**
+     * Get the ID of the first entity using the item
+     * @returns {string|null}
+     */
+    get usedBy() {
+        return this.users.size > 0 ? this.users.keys().next().value : null;
+    }
+
+    /**
+     * Get the tiles the item is used from, relative to the item
+     * itemDef.slots lists them explicitly; otherwise the item's own tile,
+     * or its four neighbours when it blocks movement.
+     * @returns {Array<{x, y}>} Offsets
+     */
+    getSlotOffsets() {
+        const slots = (this.itemDef.slots || [])
+            .filter(slot => !(this.blocksMovement && slot.x === 0 && slot.y === 0));
+        if (slots.length > 0) return slots;
+        
+        return this.blocksMovement ?
+            [{ x: 0, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: -1 }] :
+            [{ x: 0, y: 0 }];
+    }
+
+    /**
+     * Get the slot index for a tile
+     * @param {number} x
+     * @param {number} y
+     * @returns {number} Index, or -1 if the item is not used from that tile
+     */
+    getSlotIndexAt(x, y) {
+        return this.getSlotOffsets().findIndex(slot => this.tileX + slot.x === x && this.tileY + slot.y === y);
+    }
+
+    /**
+     * Get tiles of slots nobody is using or has reserved
+     * @param {string} entityId - Count this entity's own reservation as free
+     * @returns {Array<{x, y, index}>} Map coordinates
+     */
+    getFreeSlots(entityId = null) {
+        const taken = new Set(Array.from(this.users.values()).map(user => user.slot));
+        for (const [reserverId, reservation] of this.reservations) {
+            if (reserverId !== entityId) taken.add(reservation.slot);
+        }
+        return this.getSlotOffsets()
+            .map((slot, index) => ({ x: this.tileX + slot.x, y: this.tileY + slot.y, index }))
+            .filter(slot => !taken.has(slot.index));
+    }
+
+    /**
+     * Claim a slot for an entity on its way to use the item
+     * @param {string} entityId
+     * @param {number} slotIndex
+     * @returns {boolean} Success
+     */
+    reserve(entityId, slotIndex) {
+        if (!this.isAvailable(entityId)) return false;
+        if (!this.getFreeSlots(entityId).some(slot => slot.index === slotIndex)) return false;
+        
+        this.reservations.set(entityId, { slot: slotIndex, time: this.getGameTime() });
+        this.leaveQueue(entityId);
+        return true;
+    }
+
+    /**
+     * Release an entity's reservation
+     * @param {string} entityId
+     */
+    releaseReservation(entityId) {
+        this.reservations.delete(entityId);
+    }
+
+    /**
+     * Check if an entity holds a reservation
+     * @param {string} entityId
+     * @returns {boolean}
+     */
+    hasReservation(entityId) {
+        return this.reservations.has(entityId);
+    }
+
+    /**
+     * Join the wait queue
+     * @param {string} entityId
+     */
+    joinQueue(entityId) {
+        if (!this.isQueued(entityId)) {
+            this.queue.push({ entityId, time: this.getGameTime() });
+        }
+    }
+
+    /**
+     * Leave the wait queue
+     * @param {string} entityId
+     */
+    leaveQueue(entityId) {
+        this.queue = this.queue.filter(entry => entry.entityId !== entityId);
+    }
+
+    /**
+     * Check if an entity is waiting for the item
+     * @param {string} entityId
+     * @returns {boolean}
+     */
+    isQueued(entityId) {
+        return this.queue.some(entry => entry.entityId === entityId);
+    }
+
+    /**
+     * Estimate how long until a slot frees up for a new arrival
+     * @returns {number} Seconds of use time
+     */
+    getExpectedWait() {
+        if (this.isAvailable()) return 0;
+        
+        const remaining = Array.from(this.users.entries())
+            .map(([entityId, user]) => Math.max(0, this.getUseDuration(entityId) - user.useTime));
+        const soonest = remaining.length > 0 ? Math.min(...remaining) : this.maxUseTime;
+        return soonest + (this.queue.length * this.maxUseTime) / this.capacity;
+    }
+
+    /**
+     * Drop reservations and queue entries that timed out
+     * (or were made on a clock ahead of the current one, e.g. before loading a map)
+     */
+    expireReservations() {
+        const now = this.getGameTime();
+        for (const [entityId, reservation] of this.reservations) {
+            if (now - reservation.time > this.reservationTimeout || reservation.time > now) {
+                this.reservations.delete(entityId);
+            }
+        }
+        this.queue = this.queue.filter(entry => now - entry.time <= this.queueTimeout && entry.time <= now);
+    }
+
+    /**
+     * Get the IDs of everyone using the item
+     * @returns {Array<string>}
+     */
+    getUserIds() {
+        return Array.from(this.users.keys());
+    }
+
+    /**
+     * Get time an entity has spent on its current use
+     * @param {string} entityId
+     * @returns {number} Seconds
+     */
+    getUseTime(entityId) {
+        const user = this.users.get(entityId);
+        return user ? user.useTime : 0;
+    }
+
+    /**
+     * Get how far through its current use an entity is
+     * @param {string} entityId - Defaults to the first user
+     * @returns {number} 0-1
+     */
+    getUseProgress(entityId = this.usedBy) {
+        const user = this.users.get(entityId);
+        return user ? Math.min(1, user.useTime / this.getUseDuration(entityId)) : 0;
     }
 
     /**
      * Start using the item
      * @param {string} entityId - ID of entity using it
+     * @param {number} x - Tile the entity uses it from
+     * @param {number} y
+     * @param {string} choice - Container content to take (defaults to the first in stock)
      * @returns {boolean} Success
      */
-    startUse(entityId) {
-        if (this.inUse) return false;
-        this.inUse = true;
-        this.usedBy = entityId;
-        this.useTime = 0;
+    startUse(entityId, x, y, choice = null) {
+        if (this.users.has(entityId) || !this.isAvailable(entityId)) return false;
+        
+        const slot = this.getFreeSlots(entityId).find(free => free.x === x && free.y === y);
+        if (!slot) return false;
+        
+        if (this.contents && !(this.contents[choice] > 0)) {
+            const options = this.getUseOptions();
+            choice = options.length > 0 ? options[0].choice : null;
+        }
+        if (!this.takeServing(choice)) return false;
+        
+        this.reservations.delete(entityId);
+        this.leaveQueue(entityId);
+        const wasBlocking = this.isBlocking();
+        this.users.set(entityId, { slot: slot.index, useTime: 0, choice });
+        this.checkBlockingChange(wasBlocking);
+        this.timesUsed++;
         return true;
     }
 
     /**
      * Update item usage
      * @param {number} deltaTime - Time in seconds
+     * @param {string} entityId - ID of entity using it
      * @returns {boolean} True if usage complete
      */
-    updateUse(deltaTime) {
-        if (!this.inUse) return false;
+    updateUse(deltaTime, entityId) {
+        const user = this.users.get(entityId);
+        if (!user) return false;
         
-        this.useTime += deltaTime;
+        user.useTime += deltaTime;
         
-        if (this.useTime >= this.maxUseTime) {
-            this.completeUse();
+        if (user.useTime >= this.getUseDuration(entityId)) {
+            this.completeUse(entityId);
             return true;
         }
         return false;
@@ -83,38 +553,109 @@ class FunctionalItem extends Item {
 
     /**
      * Complete using the item
+     * @param {string} entityId
      */
-    completeUse() {
-        this.inUse = false;
-        this.usedBy = null;
-        this.useTime = 0;
+    completeUse(entityId) {
+        const wasBlocking = this.isBlocking();
+        this.users.delete(entityId);
+        this.checkBlockingChange(wasBlocking);
+        this.updateEmptyState();
     }
 
     /**
      * Stop using the item (interrupted)
+     * @param {string} entityId
+     */
+    stopUse(entityId) {
+        const wasBlocking = this.isBlocking();
+        this.users.delete(entityId);
+        this.checkBlockingChange(wasBlocking);
+        this.updateEmptyState();
+    }
+
+    /**
+     * Tell the entity manager if a user arriving or leaving changed whether we block our tile
+     * @param {boolean} wasBlocking - isBlocking() before the change
      */
-    stopUse() {
-        this.inUse = false;
-        this.usedBy = null;
-        this.useTime = 0;
+    checkBlockingChange(wasBlocking) {
+        if (this.isBlocking() !== wasBlocking && window.world) {
+            window.world.entityManager.markBlockingChanged();
+        }
     }
 
     /**
-     * Check if item is available (not in use)
+     * Check if item is available (has room for another user)
+     * Entities at the front of the queue get freed slots first.
+     * @param {string} entityId - Entity asking (its own reservation counts as room)
      * @returns {boolean}
      */
-    isAvailable() {
-        return !this.inUse;
+    isAvailable(entityId = null) {
+        if (this.reservations.has(entityId)) return true;
+        if (this.getServings() - this.reservations.size <= 0) return false; // Nothing left that is not spoken for
+        
+        const room = this.capacity - this.users.size - this.reservations.size;
+        const freeSlots = this.getFreeSlots(entityId).length;
+        const openings = Math.min(room, freeSlots);
+        if (openings <= 0) return false;
+        
+        const position = this.queue.findIndex(entry => entry.entityId === entityId);
+        return position === -1 ? this.queue.length < openings : position < openings;
+    }
+
+    /**
+     * Update reservations
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+        if (!this.active) return;
+        
+        if (this.reservations.size > 0 || this.queue.length > 0) {
+            this.expireReservations();
+        }
+        
+        // Scheduled restocking ({every: game minutes, amount: servings})
+        const restock = this.itemDef.restock;
+        if (restock && this.hasServings()) {
+            this.restockTimer += window.timeSystem ? window.timeSystem.toGameMinutes(deltaTime) : deltaTime / 1000;
+            if (this.restockTimer >= restock.every) {
+                this.restockTimer -= restock.every;
+                if (this.restock(restock.amount || Infinity) > 0 && window.activityLogger) {
+                    window.activityLogger.log(`${this.name} was restocked`, 'info', { itemId: this.id });
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if item blocks movement onto its tile
+     * @returns {boolean} True if always blocking, or while used from its own tile
+     */
+    isBlocking() {
+        if (this.blocksMovement) return true;
+        
+        // Someone using it from its own tile
+        const offsets = this.getSlotOffsets();
+        return Array.from(this.users.values()).some(user => {
+            const slot = offsets[user.slot];
+            return slot && slot.x === 0 && slot.y === 0;
+        });
     }
 
     /**
-     * Handle interaction
+     * Handle interaction (restocks consumables and containers)
      * @param {Entity} interactor
      * @returns {boolean}
      */
     onInteract(interactor) {
-        // Functional items are used by NPCs, not directly by player
-        return false;
+        // Functional items are used by NPCs, not directly by player; the player can refill them
+        if (!this.hasServings() || this.isFullyStocked()) return false;
+        
+        this.restock();
+        if (window.activityLogger) {
+            window.activityLogger.log(`${this.name} was restocked`, 'info', { itemId: this.id });
+        }
+        return true;
     }
 
     /**
@@ -124,6 +665,14 @@ class FunctionalItem extends Item {
     serialize() {
         const data = super.serialize();
         data.itemDef = this.itemDef;
+        data.defKey = this.defKey;
+        data.blocksMovement = this.blocksMovement;
+        if (this.hasServings()) {
+            data.quantity = this.quantity;
+            data.contents = this.contents;
+            data.restockTimer = this.restockTimer;
+            data.fullSprite = this.fullSprite;
+        }
         data.type = 'functional';
         return data;
     }
@@ -137,6 +686,30 @@ class FunctionalItem extends Item {
         if (data.itemDef) {
             this.itemDef = data.itemDef;
             this.maxUseTime = this.itemDef.useTime || 5;
+            this.capacity = this.itemDef.capacity || 1;
+            this.consumable = this.itemDef.consumable || false;
+            this.contents = this.itemDef.contents ? Object.assign({}, this.itemDef.contents) : null;
+            this.maxQuantity = this.itemDef.servings || 1;
+            this.quantity = this.maxQuantity;
+            this.blocksMovement = this.itemDef.blocksMovement || false;
+        }
+        if (data.blocksMovement !== undefined) {
+            this.blocksMovement = data.blocksMovement;
+        }
+        if (data.defKey) {
+            this.defKey = data.defKey;
+        }
+        if (data.quantity !== undefined) {
+            this.quantity = data.quantity;
+        }
+        if (data.contents) {
+            this.contents = Object.assign({}, data.contents);
+        }
+        if (data.restockTimer !== undefined) {
+            this.restockTimer = data.restockTimer;
+        }
+        if (data.fullSprite) {
+            this.fullSprite = data.fullSprite;
         }
     }
 }
@@ -153,6 +726,8 @@ class ItemDefinitions {
                 category: 'food',
                 satisfies: { hunger: 30, happiness: 5 },
                 useTime: 2,
+                consumable: true, // Eaten up after one use
+                restock: { every: 2 * 60 }, // Game minutes; refilled to full servings
                 sprite: { tileset: 'furniture', tileX: 0, tileY: 0 }
             },
             meal: {
@@ -160,6 +735,9 @@ class ItemDefinitions {
                 category: 'food',
                 satisfies: { hunger: 60, happiness: 10 },
                 useTime: 5,
+                consumable: true,
+                onEmpty: 'remove', // Cleared away once eaten
+                slots: [{ x: 0, y: -1 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }], // Served on a table
                 sprite: { tileset: 'furniture', tileX: 1, tileY: 0 }
             },
             
@@ -176,6 +754,9 @@ class ItemDefinitions {
                 category: 'drink',
                 satisfies: { thirst: 50, happiness: 10 },
                 useTime: 2,
+                consumable: true,
+                restock: { every: 2 * 60 },
+                servings: 3, // Carton
                 sprite: { tileset: 'furniture', tileX: 3, tileY: 0 }
             },
             
@@ -187,11 +768,22 @@ class ItemDefinitions {
                 useTime: 10,
                 sprite: { tileset: 'furniture', tileX: 0, tileY: 1 }
             },
+            double_bed: {
+                name: 'Double Bed',
+                category: 'furniture',
+                satisfies: { sleep: 80, happiness: 5 },
+                useTime: 10,
+                capacity: 2,
+                slots: [{ x: 0, y: 0 }, { x: 1, y: 0 }], // Either side
+                sprite: { tileset: 'furniture', tileX: 0, tileY: 1 }
+            },
             couch: {
                 name: 'Couch',
                 category: 'furniture',
                 satisfies: { sleep: 30, happiness: 15, social: 10 },
                 useTime: 5,
+                capacity: 2,
+                slots: [{ x: 0, y: 0 }, { x: 1, y: 0 }], // On it and beside it
                 sprite: { tileset: 'furniture', tileX: 1, tileY: 1 }
             },
             
@@ -201,6 +793,9 @@ class ItemDefinitions {
                 category: 'entertainment',
                 satisfies: { happiness: 40, social: 20 },
                 useTime: 8,
+                blocksMovement: true,
+                capacity: 3,
+                slots: [{ x: -1, y: 1 }, { x: 0, y: 1 }, { x: 1, y: 1 }], // Row in front of the screen
                 sprite: { tileset: 'furniture', tileX: 2, tileY: 1 }
             },
             book: {
@@ -217,6 +812,9 @@ class ItemDefinitions {
                 category: 'furniture',
                 satisfies: { social: 30, happiness: 10 },
                 useTime: 5,
+                blocksMovement: true,
+                capacity: 4,
+                slots: [{ x: 0, y: -1 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }],
                 sprite: { tileset: 'furniture', tileX: 0, tileY: 2 }
             },
             
@@ -226,6 +824,8 @@ class ItemDefinitions {
                 category: 'food',
                 satisfies: { hunger: 40, happiness: 8 },
                 useTime: 3,
+                consumable: true,
+                restock: { every: 2 * 60 },
                 sprite: { tileset: 'furniture', tileX: 4, tileY: 0 }
             },
             pizza: {
@@ -233,6 +833,9 @@ class ItemDefinitions {
                 category: 'food',
                 satisfies: { hunger: 70, happiness: 20 },
                 useTime: 6,
+                consumable: true,
+                restock: { every: 2 * 60 },
+                servings: 4, // Slices
                 sprite: { tileset: 'furniture', tileX: 5, tileY: 0 }
             },
             
@@ -249,6 +852,8 @@ class ItemDefinitions {
                 category: 'drink',
                 satisfies: { thirst: 45, happiness: 12 },
                 useTime: 2,
+                consumable: true,
+                restock: { every: 2 * 60 },
                 sprite: { tileset: 'furniture', tileX: 7, tileY: 0 }
             },
             
@@ -265,6 +870,7 @@ class ItemDefinitions {
                 category: 'furniture',
                 satisfies: { happiness: 10, social: 5 },
                 useTime: 4,
+                blocksMovement: true,
                 sprite: { tileset: 'furniture', tileX: 3, tileY: 2 }
             },
             
@@ -274,6 +880,7 @@ class ItemDefinitions {
                 category: 'entertainment',
                 satisfies: { happiness: 50, social: 15 },
                 useTime: 10,
+                blocksMovement: true,
                 sprite: { tileset: 'furniture', tileX: 4, tileY: 1 }
             },
             game: {
@@ -281,7 +888,50 @@ class ItemDefinitions {
                 category: 'entertainment',
                 satisfies: { happiness: 60, social: 25 },
                 useTime: 12,
+                capacity: 2,
+                slots: [{ x: 0, y: 1 }, { x: 1, y: 1 }],
                 sprite: { tileset: 'furniture', tileX: 5, tileY: 1 }
+            },
+            
+            // Storage (hand out servings of other items, restocked on a schedule or by the player)
+            fridge: {
+                name: 'Fridge',
+                category: 'storage',
+                satisfies: {},
+                useTime: 2,
+                blocksMovement: true,
+                contents: { apple: 4, sandwich: 2, juice: 2, soda: 2, ingredients: 4 }, // Item definition key: servings when full
+                restock: { every: 24 * 60, amount: 2 }, // Game minutes, servings of each content
+                sprite: { tileset: 'furniture', tileX: 6, tileY: 1 }
+            },
+            pantry: {
+                name: 'Pantry',
+                category: 'storage',
+                satisfies: {},
+                useTime: 2,
+                blocksMovement: true,
+                contents: { apple: 6, sandwich: 3 },
+                restock: { every: 3 * 24 * 60, amount: 3 },
+                sprite: { tileset: 'furniture', tileX: 7, tileY: 1 }
+            },
+            
+            // Cooking (ingredients are carried, not eaten; producers turn them into food)
+            ingredients: {
+                name: 'Ingredients',
+                category: 'ingredient',
+                satisfies: {},
+                useTime: 1,
+                consumable: true,
+                sprite: { tileset: 'furniture', tileX: 4, tileY: 2 }
+            },
+            stove: {
+                name: 'Stove',
+                category: 'appliance',
+                satisfies: {},
+                useTime: 10, // Cooking time
+                blocksMovement: true,
+                recipe: { input: 'ingredients', output: 'meal', servedOn: 'table' }, // Definition keys
+                sprite: { tileset: 'furniture', tileX: 5, tileY: 2 }
             }
         };
     }
@@ -303,6 +953,7 @@ class ItemDefinitions {
         }
         
         const item = new FunctionalItem(x, y, def.name, def);
+        item.defKey = defKey;
         item.setSprite(def.sprite.tileset, def.sprite.tileX, def.sprite.tileY);
         return item;
     }
@@ -0,0 +1,442 @@
+/**
+ * Goal Planner - Turns NPC goals into plans of small steps (GOAP)
+ *
+ * Steps are composable actions (go to, pick up, carry, use, wait, talk, give, guide), each with
+ * preconditions and effects on a symbolic state:
+ *   at          - ID of the entity the NPC stands at ('pending:<defKey>' for items not made yet)
+ *   carrying    - Item definition key in hand, or null
+ *   made:<key>  - An item of that definition was produced for the NPC
+ *   used:<key>  - An item of that definition was used
+ *   talked:<id> - The NPC talked to that entity
+ * plan() searches backwards from the goal's conditions for the cheapest chain of
+ * steps; the simple shapes (go and use, queue, talk) are built directly.
+ * Walks are costed by straight-line distance from the NPC, not by route, so a plan
+ * can favour an item behind a wall; the route is only found when the step runs.
+ */
+class GoalPlanner {
+    constructor() {
+        this.maxNodes = 400; // Search nodes expanded before giving up
+        this.maxSteps = 8;
+        this.pendingTravelCost = 3; // Tiles assumed to reach an item that does not exist yet
+    }
+
+    /**
+     * Get the shared planner, creating it on first use
+     * @returns {GoalPlanner}
+     */
+    static getShared() {
+        if (!window.goalPlanner) {
+            window.goalPlanner = new GoalPlanner();
+        }
+        return window.goalPlanner;
+    }
+
+    /**
+     * Create a plan step
+     * @param {string} type - 'go_to', 'carry', 'pick_up', 'use', 'wait', 'talk', 'give' or 'guide'
+     * @param {Entity|Object} target - Entity, or {pending: defKey, name} for an item not made yet
+     * @param {Object} options - {choice, needType, item, pre, effects, cost}
+     * @returns {Object} Step {type, target, choice, needType, item, label, pre, effects, cost}
+     */
+    createStep(type, target, options = {}) {
+        const step = {
+            type,
+            target,
+            item: options.item || null, // Item a guide step shows the target
+            choice: options.choice || null,
+            needType: options.needType || null,
+            interaction: options.interaction || null, // Interaction type a talk step is ordered to have
+            pre: options.pre || {},
+            effects: options.effects || {},
+            cost: options.cost || 0,
+            label: ''
+        };
+        step.label = this.describeStep(step);
+        return step;
+    }
+
+    /**
+     * Get the text shown for a step in the panel and log
+     * @param {Object} step
+     * @param {string} carrying - Item definition key in hand during the step
+     * @returns {string}
+     */
+    describeStep(step, carrying = null) {
+        const target = step.target;
+        const targetName = target ? target.name : '?';
+        const itemName = target && target.getUseDefinition ? target.getUseDefinition(step.choice).name : targetName;
+
+        switch (step.type) {
+            case 'go_to':
+                return `Go to ${targetName}`;
+            case 'carry':
+                return `Carry ${this.getDefinitionName(carrying)} to ${targetName}`;
+            case 'pick_up':
+                return `Pick up ${itemName}`;
+            case 'use': {
+                const recipe = target && target.getRecipe ? target.getRecipe() : null;
+                return recipe ? `Make ${this.getDefinitionName(recipe.output)} at ${targetName}` : `Use ${itemName}`;
+            }
+            case 'wait':
+                return `Wait for ${targetName}`;
+            case 'talk':
+                return `Talk to ${targetName}`;
+            case 'give':
+                return `Give ${this.getDefinitionName(carrying)} to ${targetName}`;
+            case 'guide':
+                return `Show ${targetName} the ${step.item ? step.item.name : '?'}`;
+            default:
+                return step.type;
+        }
+    }
+
+    /**
+     * Get the display name of an item definition
+     * @param {string} defKey
+     * @returns {string}
+     */
+    getDefinitionName(defKey) {
+        const def = defKey ? ItemDefinitions.getDefinitions()[defKey] : null;
+        return def ? def.name : (defKey || 'nothing');
+    }
+
+    /**
+     * Plan walking to an item and using it
+     * @param {NPC} npc
+     * @param {FunctionalItem} item
+     * @param {string} needType
+     * @param {string} choice - Container content to take
+     * @returns {Object} Plan
+     */
+    planUse(npc, item, needType, choice = null) {
+        return this.createPlan(npc, `Use ${item.getUseDefinition(choice).name}`, needType, [
+            this.createStep('go_to', item, { needType, choice }),
+            this.createStep(item.getYield(choice) ? 'pick_up' : 'use', item, { needType, choice })
+        ]);
+    }
+
+    /**
+     * Plan walking to the item a schedule block takes place at and staying on it
+     * @param {NPC} npc
+     * @param {FunctionalItem} item
+     * @param {Object} block - Schedule block (see js/schedule.js)
+     * @returns {Object} Plan
+     */
+    planSchedule(npc, item, block) {
+        const plan = this.createPlan(npc, block.activity, null, [
+            this.createStep('go_to', item),
+            this.createStep('use', item)
+        ]);
+        plan.schedule = block;
+        return plan;
+    }
+
+    /**
+     * Plan queueing for a full item, then using it
+     * @param {NPC} npc
+     * @param {FunctionalItem} item
+     * @param {string} needType
+     * @returns {Object} Plan
+     */
+    planWait(npc, item, needType) {
+        return this.createPlan(npc, `Wait for ${item.name}`, needType, [
+            this.createStep('wait', item, { needType }),
+            this.createStep('go_to', item, { needType }),
+            this.createStep('use', item, { needType })
+        ]);
+    }
+
+    /**
+     * Plan walking over to another NPC and talking
+     * @param {NPC} npc
+     * @param {NPC} other
+     * @param {string|null} interaction - Interaction type to have (an order), or null to choose there
+     * @returns {Object} Plan
+     */
+    planTalk(npc, other, interaction = null) {
+        return this.createPlan(npc, `Talk to ${other.name}`, 'social', [
+            this.createStep('go_to', other, { needType: 'social' }),
+            this.createStep('talk', other, { needType: 'social', interaction })
+        ]);
+    }
+
+    /**
+     * Plan walking over to another NPC and handing over the held item
+     * @param {NPC} npc
+     * @param {NPC} other
+     * @returns {Object} Plan
+     */
+    planGive(npc, other) {
+        return this.createPlan(npc, `Bring ${other.name} something`, null, [
+            this.createStep('carry', other),
+            this.createStep('give', other, { effects: { carrying: null } })
+        ]);
+    }
+
+    /**
+     * Plan helping another NPC with a need: hand over food we carry, fetch a portable
+     * item and bring it, or go and send them to an item (reserved for them while we walk)
+     * @param {NPC} npc - Helper
+     * @param {NPC} other - NPC in need
+     * @param {string} needType
+     * @returns {Object|null} Plan with recipient set, or null if there is no way to help
+     */
+    planHelp(npc, other, needType) {
+        if (!window.world) return null;
+
+        const name = `Help ${other.name}`;
+        let steps = null;
+
+        const held = npc.inventory.getHeld();
+        const heldDef = held ? (held.data && held.data.itemDef) || ItemDefinitions.getDefinitions()[held.defKey] : null;
+        if (heldDef && heldDef.satisfies && heldDef.satisfies[needType] > 0) {
+            steps = [this.createStep('carry', other, { needType }), this.createStep('give', other, { needType })];
+        } else {
+            const items = window.world.entityManager.getByType('functional')
+                .filter(item => item.active && item.canSatisfy(needType) && item.isAvailable(npc.id) && item.isAvailable(other.id))
+                .sort((a, b) => other.getDistance(a) - other.getDistance(b));
+
+            const portable = items.find(item => item.isCarriable() && npc.findPathToItem(item));
+            const fixed = portable ? null : items.find(item => other.findPathToItem(item));
+            if (portable) {
+                steps = [
+                    this.createStep('go_to', portable, { needType }),
+                    this.createStep('pick_up', portable, { needType, effects: { carrying: portable.defKey } }),
+                    this.createStep('carry', other, { needType }),
+                    this.createStep('give', other, { needType })
+                ];
+            } else if (fixed) {
+                steps = [
+                    this.createStep('go_to', other, { needType }),
+                    this.createStep('guide', other, { needType, item: fixed })
+                ];
+            }
+        }
+
+        if (!steps) return null;
+        const plan = this.createPlan(npc, name, needType, steps);
+        plan.recipient = other;
+        return plan;
+    }
+
+    /**
+     * Search for the cheapest plan that reaches a goal
+     * @param {NPC} npc
+     * @param {Object} goal - Conditions to reach, e.g. {'used:meal': true}
+     * @param {string} name - Plan name for the panel and log
+     * @param {string} needType - Need the plan is for
+     * @returns {Object|null} Plan, or null if the goal cannot be reached
+     */
+    plan(npc, goal, name, needType = null) {
+        const state = this.getState(npc);
+        const actions = this.buildActions(npc, needType);
+        const open = new PathNodeHeap(); // Ordered by f, the plan's cost so far
+        open.push({ conditions: this.dropSatisfied(Object.assign({}, goal), state), steps: [], f: 0 });
+
+        for (let expanded = 0; open.size() > 0 && expanded < this.maxNodes; expanded++) {
+            const node = open.pop();
+
+            if (Object.keys(node.conditions).length === 0) {
+                if (this.isValid(node.steps, state)) {
+                    return this.createPlan(npc, name, needType, node.steps.map(step => Object.assign({}, step)));
+                }
+                continue;
+            }
+            if (node.steps.length >= this.maxSteps) continue;
+
+            for (const action of actions) {
+                const conditions = this.regress(node.conditions, action, state);
+                if (conditions) {
+                    open.push({ conditions, steps: [action].concat(node.steps), f: node.f + action.cost });
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the planning state of an NPC right now
+     * @param {NPC} npc
+     * @returns {Object}
+     */
+    getState(npc) {
+        return { at: null, carrying: npc.inventory.getHeldKey() };
+    }
+
+    /**
+     * Build every step an NPC could take towards a goal
+     * @param {NPC} npc
+     * @param {string} needType - Tagged on the steps
+     * @returns {Array<Object>} Steps with preconditions and effects
+     */
+    buildActions(npc, needType) {
+        const actions = [];
+        if (!window.world) return actions;
+
+        const travel = tiles => tiles * 32 / npc.moveSpeed; // Seconds of walking
+        const outputs = new Set();
+
+        for (const item of window.world.entityManager.getByType('functional')) {
+            if (!item.active || !item.isAvailable(npc.id) || npc.isItemUnreachable(item)) continue;
+
+            actions.push(this.createStep('go_to', item, {
+                needType,
+                effects: { at: item.id },
+                cost: travel(npc.getDistance(item))
+            }));
+
+            // Carry the whole item off (food to take to someone)
+            if (item.isCarriable() && item.defKey) {
+                actions.push(this.createStep('pick_up', item, {
+                    needType,
+                    pre: { at: item.id },
+                    effects: { carrying: item.defKey },
+                    cost: 0.5
+                }));
+            }
+
+            for (const option of item.getUseOptions()) {
+                const pre = { at: item.id };
+                const taken = item.getYield(option.choice);
+                const recipe = item.getRecipe();
+                let type = 'use';
+                let effects;
+
+                if (taken) {
+                    type = 'pick_up';
+                    effects = { carrying: taken };
+                } else if (recipe) {
+                    pre.carrying = recipe.input;
+                    effects = { carrying: null, [`made:${recipe.output}`]: true };
+                    outputs.add(recipe.output);
+                } else {
+                    const key = item.contents ? option.choice : item.defKey;
+                    if (!key) continue;
+                    effects = { [`used:${key}`]: true };
+                }
+
+                actions.push(this.createStep(type, item, {
+                    needType,
+                    choice: option.choice,
+                    pre,
+                    effects,
+                    cost: option.useTime
+                }));
+            }
+        }
+
+        // Items a recipe will make: reachable once made
+        const definitions = ItemDefinitions.getDefinitions();
+        for (const key of outputs) {
+            const def = definitions[key];
+            if (!def) continue;
+            const target = { pending: key, name: def.name };
+            actions.push(this.createStep('go_to', target, {
+                needType,
+                pre: { [`made:${key}`]: true },
+                effects: { at: `pending:${key}` },
+                cost: travel(this.pendingTravelCost)
+            }));
+            actions.push(this.createStep('use', target, {
+                needType,
+                pre: { at: `pending:${key}` },
+                effects: { [`used:${key}`]: true },
+                cost: def.useTime || 0
+            }));
+        }
+
+        return actions;
+    }
+
+    /**
+     * Work out what must hold before a step for the conditions to hold after it
+     * @param {Object} conditions - Conditions needed after the step
+     * @param {Object} action - Step
+     * @param {Object} state - Current state (conditions that already hold are dropped)
+     * @returns {Object|null} Conditions needed before, or null if the step does not help
+     */
+    regress(conditions, action, state) {
+        let useful = false;
+        for (const [key, value] of Object.entries(action.effects)) {
+            if (!(key in conditions)) continue;
+            if (conditions[key] !== value) return null; // Undoes something a later step needs
+            useful = true;
+        }
+        if (!useful) return null;
+
+        const result = {};
+        for (const [key, value] of Object.entries(conditions)) {
+            if (!(key in action.effects)) result[key] = value;
+        }
+        for (const [key, value] of Object.entries(action.pre)) {
+            if (key in result && result[key] !== value) return null;
+            result[key] = value;
+        }
+        return this.dropSatisfied(result, state);
+    }
+
+    /**
+     * Remove conditions the current state already meets
+     * @param {Object} conditions
+     * @param {Object} state
+     * @returns {Object} The same object
+     */
+    dropSatisfied(conditions, state) {
+        for (const [key, value] of Object.entries(conditions)) {
+            if ((state[key] === undefined ? null : state[key]) === value) {
+                delete conditions[key];
+            }
+        }
+        return conditions;
+    }
+
+    /**
+     * Check a plan forwards from the current state (a step may undo a condition the search assumed still held)
+     * @param {Array<Object>} steps
+     * @param {Object} state
+     * @returns {boolean}
+     */
+    isValid(steps, state) {
+        const current = Object.assign({}, state);
+        for (const step of steps) {
+            for (const [key, value] of Object.entries(step.pre)) {
+                if ((current[key] === undefined ? null : current[key]) !== value) return false;
+            }
+            Object.assign(current, step.effects);
+        }
+        return true;
+    }
+
+    /**
+     * Wrap steps into a plan, marking walks made with something in hand as carries
+     * @param {NPC} npc
+     * @param {string} name
+     * @param {string} needType
+     * @param {Array<Object>} steps
+     * @returns {Object} Plan {name, needType, steps, index, travel, time, recipient, schedule}
+     *     recipient is the NPC helped and schedule the block followed, if any
+     */
+    createPlan(npc, name, needType, steps) {
+        let carrying = npc.inventory.getHeldKey();
+        let from = npc;
+        let travel = 0;
+        let time = 0;
+
+        for (const step of steps) {
+            if (step.type === 'go_to' || step.type === 'carry') {
+                step.type = carrying ? 'carry' : 'go_to';
+                travel += step.target.pending ? this.pendingTravelCost : from.getDistance(step.target);
+                if (!step.target.pending) from = step.target;
+            } else if (step.type === 'use' || (step.type === 'pick_up' && step.target.contents)) {
+                time += step.target.getUseDefinition ? step.target.getUseDefinition(step.choice).useTime : step.cost;
+            }
+            step.label = this.describeStep(step, carrying);
+
+            if (step.effects && 'carrying' in step.effects) {
+                carrying = step.effects.carrying;
+            }
+        }
+
+        return { name, needType, steps, index: -1, travel, time, recipient: null, schedule: null };
+    }
+}
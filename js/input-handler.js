@@ -15,8 +15,9 @@ class InputHandler {
     }
 
     setupEventListeners() {
-        // Keyboard events
+        // Keyboard events (ignored while typing in a form field)
         window.addEventListener('keydown', (e) => {
+            if (this.isTyping(e)) return;
             this.keys[e.key.toLowerCase()] = true;
             this.keysPressed[e.key.toLowerCase()] = true;
         });
@@ -28,7 +29,7 @@ class InputHandler {
         // Prevent default for arrow keys and WASD
         window.addEventListener('keydown', (e) => {
             const preventKeys = ['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'w', 'a', 's', 'd'];
-            if (preventKeys.includes(e.key.toLowerCase())) {
+            if (preventKeys.includes(e.key.toLowerCase()) && !this.isTyping(e)) {
                 e.preventDefault();
             }
         });
@@ -48,6 +49,16 @@ class InputHandler {
         });
     }
 
+    /**
+     * Check if a keyboard event comes from a text field
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    isTyping(e) {
+        const tag = e.target && e.target.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+    }
+
     /**
      * Check if a key is currently pressed
      * @param {string} key - Key to check (e.g., 'w', 'arrowup')
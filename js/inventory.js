@@ -0,0 +1,202 @@
+/**
+ * Inventory - Items carried by an NPC or the player
+ *
+ * Entries keep the serialized entity, so a dropped item comes back as it was picked up
+ * (e.g. a Pizza with two slices left). The last entry added is the one held in hand.
+ */
+class Inventory {
+    constructor(capacity = 4) {
+        this.capacity = capacity;
+        this.entries = []; // [{defKey, name, sprite, data}] - data is the serialized entity, null for a fresh defKey item
+    }
+
+    /**
+     * Check if an entity can be picked up
+     * @param {Entity} entity
+     * @returns {boolean}
+     */
+    static canCarry(entity) {
+        if (!entity || !entity.active) return false;
+        if (entity.type === 'functional') return entity.isCarriable();
+        return entity.type === 'item' && entity.itemType === 'collectible';
+    }
+
+    /**
+     * Create the world entity for an entry
+     * @param {Object} entry
+     * @param {number} x
+     * @param {number} y
+     * @returns {Entity|null}
+     */
+    static createEntity(entry, x, y) {
+        if (!entry.data) {
+            return ItemDefinitions.createItem(entry.defKey, x, y);
+        }
+
+        const entity = World.createEntity(entry.data);
+        entity.deserialize(entry.data);
+        entity.setPosition(x, y);
+        return entity;
+    }
+
+    /**
+     * Check if there is no room for another item
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.entries.length >= this.capacity;
+    }
+
+    /**
+     * Check if nothing is carried
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    /**
+     * Add an entry (e.g. one handed over by someone else)
+     * @param {Object} entry
+     * @returns {boolean} False if full
+     */
+    add(entry) {
+        if (!entry || this.isFull()) return false;
+        this.entries.push(entry);
+        return true;
+    }
+
+    /**
+     * Add a fresh item of a definition (e.g. a serving taken from a container)
+     * @param {string} defKey
+     * @returns {boolean} False if full or unknown
+     */
+    addDefinition(defKey) {
+        const def = ItemDefinitions.getDefinitions()[defKey];
+        if (!def) return false;
+        return this.add({ defKey, name: def.name, sprite: def.sprite, data: null });
+    }
+
+    /**
+     * Pick an entity up off the map
+     * @param {Entity} entity
+     * @returns {boolean} False if it cannot be carried or there is no room
+     */
+    pickUp(entity) {
+        if (!Inventory.canCarry(entity) || this.isFull()) return false;
+
+        this.add({
+            defKey: entity.defKey || null,
+            name: entity.name,
+            sprite: entity.sprite,
+            data: entity.serialize()
+        });
+
+        entity.remove();
+        if (window.world) {
+            window.world.entityManager.remove(entity.id);
+        }
+        return true;
+    }
+
+    /**
+     * Put an entry back on the map
+     * @param {number} x
+     * @param {number} y
+     * @param {number} index - Defaults to the held item
+     * @returns {Entity|null} The placed entity
+     */
+    drop(x, y, index = this.entries.length - 1) {
+        const entry = this.take(index);
+        if (!entry) return null;
+
+        const entity = Inventory.createEntity(entry, x, y);
+        if (entity && window.world) {
+            window.world.entityManager.add(entity);
+        }
+        return entity;
+    }
+
+    /**
+     * Hand an entry to another inventory
+     * @param {Inventory} other
+     * @param {number} index - Defaults to the held item
+     * @returns {Object|null} The entry handed over, or null if they have no room
+     */
+    giveTo(other, index = this.entries.length - 1) {
+        if (!other || other.isFull() || !this.entries[index]) return null;
+
+        const entry = this.take(index);
+        other.add(entry);
+        return entry;
+    }
+
+    /**
+     * Remove an entry
+     * @param {number} index - Defaults to the held item
+     * @returns {Object|null}
+     */
+    take(index = this.entries.length - 1) {
+        if (index < 0 || index >= this.entries.length) return null;
+        return this.entries.splice(index, 1)[0];
+    }
+
+    /**
+     * Get the item held in hand
+     * @returns {Object|null} Entry
+     */
+    getHeld() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1] : null;
+    }
+
+    /**
+     * Get the definition key of the item held in hand
+     * @returns {string|null}
+     */
+    getHeldKey() {
+        const held = this.getHeld();
+        return held ? held.defKey : null;
+    }
+
+    /**
+     * Find the last entry of a definition
+     * @param {string} defKey
+     * @returns {number} Index, or -1
+     */
+    indexOf(defKey) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].defKey === defKey) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Check if an item of a definition is carried
+     * @param {string} defKey
+     * @returns {boolean}
+     */
+    has(defKey) {
+        return this.indexOf(defKey) !== -1;
+    }
+
+    /**
+     * Serialize inventory data
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            capacity: this.capacity,
+            entries: this.entries.map(entry => Object.assign({}, entry))
+        };
+    }
+
+    /**
+     * Deserialize inventory data
+     * @param {Object} data
+     */
+    deserialize(data) {
+        if (!data) return;
+        this.capacity = data.capacity || this.capacity;
+        this.entries = Array.isArray(data.entries) ? data.entries.map(entry => Object.assign({}, entry)) : [];
+    }
+}
@@ -18,6 +18,7 @@ class Item extends Entity {
         // Visual effects
         this.bobbing = true; // Bob up and down
         this.bobOffset = 0;
+        this.bobTime = 0; // Simulation ms, so bobbing pauses with the game clock
         this.bobSpeed = 0.05;
         this.bobAmount = 2;
     }
@@ -31,7 +32,8 @@ class Item extends Entity {
 
         // Bobbing animation
         if (this.bobbing) {
-            this.bobOffset = Math.sin(Date.now() * this.bobSpeed) * this.bobAmount;
+            this.bobTime += deltaTime;
+            this.bobOffset = Math.sin(this.bobTime * this.bobSpeed) * this.bobAmount;
         }
     }
 
@@ -48,17 +50,19 @@ class Item extends Entity {
 
     /**
      * Handle interaction (pick up item)
-     * @param {Entity} interactor
-     * @returns {boolean}
+     * @param {Entity|Character} interactor - Collects the item into its inventory
+     * @returns {boolean} False if not collectible or there is no room
      */
     onInteract(interactor) {
-        if (this.itemType === 'collectible') {
-            // Item is collected
-            console.log(`Collected: ${this.name} x${this.quantity}`);
-            this.remove();
-            return true;
+        if (this.itemType !== 'collectible' || !interactor || !interactor.inventory) return false;
+        
+        const name = this.name;
+        if (!interactor.inventory.pickUp(this)) return false;
+        
+        if (window.activityLogger) {
+            window.activityLogger.log(`${interactor.name} picked up ${name}`, 'info');
         }
-        return false;
+        return true;
     }
 
     /**
@@ -26,6 +26,9 @@
     // Show initial view
     tilesetEditor.show();
 
+    // Initialize seeded RNG (shared by all simulation randomness)
+    window.rng = new SeededRandom();
+
     // Initialize needs system
     window.needsSystem = new NeedsSystem();
 
@@ -40,9 +43,15 @@
         mapRenderer.updateActivityConsole();
     });
 
+    // Announce new days and seasons in the console
+    window.timeSystem.addListener(event => {
+        window.activityLogger.logCalendar(event);
+    });
+
     // Make managers globally available for debugging
     window.tilesetManager = tilesetManager;
     window.mapRenderer = mapRenderer;
+    window.world = mapRenderer.world; // Simulation state queried by NPCs
     window.tilesetEditor = tilesetEditor;
     window.client = client;
 
@@ -6,9 +6,7 @@ class MapRenderer {
         this.tilesetManager = tilesetManager;
         this.canvas = document.getElementById('map-canvas');
         this.ctx = this.canvas.getContext('2d');
-        this.map = null;
-        this.mapWidth = 20;
-        this.mapHeight = 20;
+        this.world = new World(tilesetManager, 20, 20); // Map data, collision and entities
         this.tileSize = 32;
         this.zoom = 1.0;
         this.offsetX = 0;
@@ -23,6 +21,7 @@ class MapRenderer {
             items: true,
             characters: true
         };
+        this.showCollision = false; // Overlay blocked tiles in edit mode
 
         // Character system
         this.player = null;
@@ -33,35 +32,30 @@ class MapRenderer {
         this.cameraFollowsPlayer = true;
 
         // Entity system
-        this.entityManager = new EntityManager();
         this.selectedEntityType = 'npc'; // 'npc', 'item'
         this.selectedItemDef = null; // Selected item definition for placement
         this.customItemSprite = null; // Custom sprite override {tileset, tileX, tileY}
         this.selectedNPC = null; // Currently selected NPC for viewing details
+        this.commandMenu = null; // Open order menu {npc, target, options}
+        this.patrolEditing = false; // Clicks add waypoints to the selected NPC's patrol path
 
         this.initializeMap();
         this.initializeEventListeners();
     }
 
-    initializeMap() {
-        this.map = {
-            ground: [],
-            items: [],
-            characters: []
-        };
-
-        // Initialize empty map
-        for (let y = 0; y < this.mapHeight; y++) {
-            this.map.ground[y] = [];
-            this.map.items[y] = [];
-            this.map.characters[y] = [];
-            for (let x = 0; x < this.mapWidth; x++) {
-                this.map.ground[y][x] = null;
-                this.map.items[y][x] = null;
-                this.map.characters[y][x] = null;
-            }
-        }
+    // World state is owned by this.world; these accessors keep the renderer code unchanged
+    get map() { return this.world.map; }
+    set map(map) { this.world.map = map; }
+    get mapWidth() { return this.world.mapWidth; }
+    set mapWidth(width) { this.world.mapWidth = width; }
+    get mapHeight() { return this.world.mapHeight; }
+    set mapHeight(height) { this.world.mapHeight = height; }
+    get entityManager() { return this.world.entityManager; }
+    get pathfinder() { return this.world.pathfinder; }
+    get simulation() { return this.world.simulation; }
 
+    initializeMap() {
+        this.world.initializeMap();
         this.updateCanvasSize();
     }
 
@@ -96,6 +90,11 @@ class MapRenderer {
             this.render();
         });
 
+        document.getElementById('show-collision').addEventListener('change', (e) => {
+            this.showCollision = e.target.checked;
+            this.render();
+        });
+
         // Zoom controls
         document.getElementById('zoom-in').addEventListener('click', () => {
             this.zoom = Math.min(this.zoom + 0.1, 3.0);
@@ -133,9 +132,20 @@ class MapRenderer {
         this.canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             const tilePos = this.getTileAtMousePosition(e.clientX, e.clientY);
-            if (tilePos) {
-                this.removeTile(tilePos.x, tilePos.y);
+            if (!tilePos) return;
+
+            if (this.patrolEditing && this.selectedNPC) {
+                // Remove the last waypoint on this tile
+                const path = this.selectedNPC.patrolPath;
+                for (let i = path.length - 1; i >= 0; i--) {
+                    if (path[i].x === tilePos.x && path[i].y === tilePos.y) {
+                        this.removePatrolWaypoint(i);
+                        break;
+                    }
+                }
+                return;
             }
+            this.removeTile(tilePos.x, tilePos.y);
         });
 
         this.canvas.addEventListener('wheel', (e) => {
@@ -164,6 +174,20 @@ class MapRenderer {
             });
         }
 
+        document.getElementById('player-needs').addEventListener('change', (e) => {
+            if (this.player) {
+                this.player.setNeedsEnabled(e.target.checked);
+            }
+            this.render();
+        });
+
+        // Close the order menu when clicking outside it (canvas clicks are handled in handleMouseDown)
+        document.addEventListener('mousedown', (e) => {
+            if (e.target !== this.canvas && !e.target.closest('#command-menu')) {
+                this.hideCommandMenu();
+            }
+        });
+
         // Entity controls
         const entityTypeSelect = document.getElementById('entity-type-select');
         const itemDefContainer = document.getElementById('item-def-container');
@@ -173,6 +197,12 @@ class MapRenderer {
             itemDefContainer.style.display = e.target.value === 'item' ? 'block' : 'none';
         });
 
+        // Default the collision checkbox to the item definition
+        document.getElementById('item-def-select').addEventListener('change', (e) => {
+            const itemDef = ItemDefinitions.getDefinitions()[e.target.value];
+            document.getElementById('item-blocks-movement').checked = !!(itemDef && itemDef.blocksMovement);
+        });
+
         document.getElementById('spawn-entity').addEventListener('click', () => {
             this.spawnEntity();
         });
@@ -201,10 +231,133 @@ class MapRenderer {
             this.clearItemSelection();
         });
 
+        document.getElementById('restock-items').addEventListener('click', () => {
+            this.restockItems();
+        });
+
         document.getElementById('clear-entities').addEventListener('click', () => {
             this.clearEntities();
         });
 
+        document.getElementById('world-autonomy').addEventListener('change', (e) => {
+            this.world.autonomy = e.target.value;
+            this.updateSelectedNPCInfo();
+        });
+
+        document.getElementById('npc-autonomy').addEventListener('change', (e) => {
+            if (this.selectedNPC) {
+                this.selectedNPC.autonomy = e.target.value || null;
+                this.updateSelectedNPCInfo();
+            }
+        });
+
+        document.getElementById('npc-ai-type').addEventListener('change', (e) => {
+            if (this.selectedNPC) {
+                this.selectedNPC.aiType = e.target.value;
+                this.selectedNPC.failPlan();
+                this.updateSelectedNPCInfo();
+            }
+        });
+
+        document.getElementById('npc-patrol-mode').addEventListener('change', (e) => {
+            if (this.selectedNPC) {
+                this.selectedNPC.patrolMode = e.target.value;
+                this.render();
+            }
+        });
+
+        document.getElementById('edit-npc-patrol').addEventListener('click', () => {
+            this.setPatrolEditing(!this.patrolEditing);
+        });
+
+        document.getElementById('clear-npc-patrol').addEventListener('click', () => {
+            if (this.selectedNPC) {
+                this.selectedNPC.setPatrolPath([]);
+                this.showNPCPatrol();
+                this.render();
+            }
+        });
+
+        // Waypoint list: wait times and remove buttons
+        const patrolList = document.getElementById('npc-patrol-list');
+        patrolList.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.waitIndex, 10);
+            const point = this.selectedNPC ? this.selectedNPC.patrolPath[index] : null;
+            if (point) {
+                point.wait = Math.max(0, parseFloat(e.target.value) || 0);
+                this.render();
+            }
+        });
+        patrolList.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.removeIndex, 10);
+            if (!isNaN(index)) {
+                this.removePatrolWaypoint(index);
+            }
+        });
+
+        document.getElementById('npc-schedule-template').addEventListener('change', (e) => {
+            if (this.selectedNPC) {
+                this.selectedNPC.setSchedule(this.selectedNPC.schedule, e.target.value || null);
+                this.showNPCSchedule();
+                this.updateSelectedNPCInfo();
+            }
+        });
+
+        document.getElementById('add-npc-schedule').addEventListener('click', () => {
+            if (this.selectedNPC) {
+                this.setNPCSchedule(this.selectedNPC.schedule.concat([
+                    { activity: 'Work', start: '09:00', end: '17:00', place: null, priority: 'normal' }
+                ]));
+            }
+        });
+
+        document.getElementById('copy-npc-schedule').addEventListener('click', () => {
+            const npc = this.selectedNPC;
+            const template = npc ? Schedule.getTemplates()[npc.scheduleTemplate] : null;
+            if (!template) {
+                alert('Pick a template to copy first');
+                return;
+            }
+            this.setNPCSchedule(template.blocks);
+        });
+
+        // Block list: edited fields and remove buttons
+        const scheduleList = document.getElementById('npc-schedule-list');
+        scheduleList.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.scheduleIndex, 10);
+            if (!this.selectedNPC || isNaN(index)) return;
+
+            const field = e.target.dataset.field;
+            let value = e.target.value || null;
+            if (field === 'days') {
+                value = value ? this.getScheduleDayPresets()[value] : null;
+            } else if (field === 'seasons') {
+                value = value ? [value] : null;
+            }
+            const blocks = this.selectedNPC.schedule.map(block => Object.assign({}, block));
+            blocks[index][field] = value;
+            this.setNPCSchedule(blocks);
+        });
+        scheduleList.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.removeBlock, 10);
+            if (this.selectedNPC && !isNaN(index)) {
+                this.setNPCSchedule(this.selectedNPC.schedule.filter((block, i) => i !== index));
+            }
+        });
+
+        document.getElementById('apply-npc-profile').addEventListener('click', () => {
+            this.applyNPCProfile();
+        });
+
+        document.getElementById('apply-npc-dialogue').addEventListener('click', () => {
+            this.applyNPCDialogue();
+        });
+
+        document.getElementById('reset-npc-dialogue').addEventListener('click', () => {
+            document.getElementById('npc-dialogue-json').value = JSON.stringify(DialogueTree.createDefault(), null, 2);
+            this.applyNPCDialogue();
+        });
+
         // Update NPC stats display periodically
         setInterval(() => {
             this.updateNPCStats();
@@ -220,6 +373,19 @@ class MapRenderer {
             this.cycleTimeSpeed();
         });
 
+        document.getElementById('apply-seed').addEventListener('click', () => {
+            this.applySeed();
+        });
+
+        // Need definition controls
+        document.getElementById('load-needs').addEventListener('click', () => {
+            this.loadNeedDefinitions();
+        });
+
+        document.getElementById('save-needs').addEventListener('click', () => {
+            this.saveNeedDefinitions();
+        });
+
         // Console controls
         document.getElementById('clear-console').addEventListener('click', () => {
             this.clearActivityConsole();
@@ -265,6 +431,8 @@ class MapRenderer {
     }
 
     handleMouseDown(e) {
+        this.hideCommandMenu();
+
         // In game mode, don't handle map editing
         if (this.gameMode) {
             this.canvas.focus();  // Ensure canvas has focus for keyboard input
@@ -275,6 +443,10 @@ class MapRenderer {
 
         // Left click handling
         if (e.button === 0) {
+            if (tilePos && this.patrolEditing && this.selectedNPC) {
+                this.addPatrolWaypoint(tilePos.x, tilePos.y);
+                return;
+            }
             if (tilePos) {
                 // Priority: Item placement > NPC selection > Tile placement > Tile selection
                 if (this.selectedItemDef) {
@@ -289,6 +461,14 @@ class MapRenderer {
                     // Check for NPC at this position
                     const entities = this.entityManager.getAtPosition(tilePos.x, tilePos.y);
                     const npc = entities.find(e => e.type === 'npc');
+
+                    // With an NPC selected, another NPC or an item opens the order menu
+                    const target = npc && npc !== this.selectedNPC ? npc :
+                        entities.find(e => e.type === 'functional' && e.active);
+                    if (this.selectedNPC && target) {
+                        this.showCommandMenu(target, e.clientX, e.clientY);
+                        return;
+                    }
                     if (npc) {
                         this.selectNPC(npc);
                         return;
@@ -345,6 +525,7 @@ class MapRenderer {
                 tileX: this.selectedTile.x,
                 tileY: this.selectedTile.y
             };
+            this.world.markMapChanged();
             this.render();
         }
     }
@@ -353,6 +534,7 @@ class MapRenderer {
         // Remove tile from the active layer
         if (this.map[this.activeLayer][mapY][mapX]) {
             this.map[this.activeLayer][mapY][mapX] = null;
+            this.world.markMapChanged();
             this.render();
         }
     }
@@ -453,14 +635,169 @@ class MapRenderer {
             this.renderEntities(scaledTileSize);
         }
 
+        // Draw the selected NPC's patrol path (edit mode)
+        if (!this.gameMode && this.selectedNPC && this.selectedNPC.type === 'npc') {
+            this.renderPatrolPath(this.selectedNPC, scaledTileSize);
+        }
+
+        // Draw collision overlay (only in edit mode)
+        if (!this.gameMode && this.showCollision) {
+            this.renderCollisionOverlay(scaledTileSize);
+        }
+
+        ctx.restore();
+
+        // Dialogue box and needs HUD (screen space, over the map)
+        this.endOrphanedConversation();
+        if (this.player && this.player.conversation) {
+            this.renderConversation(this.player.conversation);
+        }
+        if (this.gameMode && this.player && this.player.needsEnabled) {
+            this.renderPlayerNeeds(this.player);
+        }
+    }
+
+    /**
+     * Draw the dialogue box of a conversation at the bottom of the canvas
+     * @param {Conversation} conversation
+     */
+    renderConversation(conversation) {
+        if (conversation.ended || !conversation.node) return;
+
+        const ctx = this.ctx;
+        const padding = 12;
+        const lineHeight = 18;
+        const width = this.canvas.width - padding * 4;
+        const textWidth = width - padding * 2;
+
+        ctx.save();
+        ctx.font = '14px sans-serif';
+        const textLines = this.wrapText(conversation.node.text, textWidth);
+        const choices = conversation.getChoices();
+        const choiceLines = choices.map((choice, index) => this.wrapText(`${index + 1}. ${choice.text}`, textWidth));
+        const hint = choices.length > 0 ? '1-9: choose   Esc: leave' : 'E: continue   Esc: leave';
+
+        const lineCount = 1 + textLines.length + choiceLines.reduce((sum, lines) => sum + lines.length, 0) + 1;
+        const height = lineCount * lineHeight + padding * 2 + (choices.length > 0 ? lineHeight / 2 : 0);
+        const x = padding * 2;
+        const y = this.canvas.height - height - padding * 2;
+
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.9)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#4a9eff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.textBaseline = 'top';
+        let lineY = y + padding;
+        ctx.fillStyle = '#4a9eff';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillText(conversation.npc.name, x + padding, lineY);
+        lineY += lineHeight;
+
+        ctx.font = '14px sans-serif';
+        ctx.fillStyle = '#ffffff';
+        for (const line of textLines) {
+            ctx.fillText(line, x + padding, lineY);
+            lineY += lineHeight;
+        }
+
+        if (choices.length > 0) {
+            lineY += lineHeight / 2;
+        }
+        ctx.fillStyle = '#ffd700';
+        for (const lines of choiceLines) {
+            for (const line of lines) {
+                ctx.fillText(line, x + padding, lineY);
+                lineY += lineHeight;
+            }
+        }
+
+        ctx.fillStyle = '#888';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(hint, x + padding, lineY);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the player's need bars in the top-left corner of the canvas
+     * @param {Character} player
+     */
+    renderPlayerNeeds(player) {
+        const needsSystem = player.needsSystem;
+        if (!player.needs || !needsSystem) return;
+
+        const ctx = this.ctx;
+        const padding = 8;
+        const rowHeight = 18;
+        const barWidth = 80;
+        const width = 190;
+        const entries = Object.entries(player.needs).filter(([needType]) => needsSystem.needTypes[needType]);
+        const height = entries.length * rowHeight + padding * 2;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.8)';
+        ctx.fillRect(padding, padding, width, height);
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        entries.forEach(([needType, need], index) => {
+            const config = needsSystem.needTypes[needType];
+            const percentage = (need.value / need.max) * 100;
+            const color = percentage > 50 ? config.color : percentage > 20 ? '#ffa500' : '#ff4444';
+            const rowY = padding * 2 + index * rowHeight;
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`${config.icon} ${config.name}`, padding * 2, rowY + rowHeight / 2);
+            ctx.fillStyle = '#555';
+            ctx.fillRect(width - barWidth, rowY + 5, barWidth, 8);
+            ctx.fillStyle = color;
+            ctx.fillRect(width - barWidth, rowY + 5, barWidth * percentage / 100, 8);
+        });
         ctx.restore();
     }
 
+    /**
+     * Split text into lines that fit a width (with the current canvas font)
+     * @param {string} text
+     * @param {number} maxWidth - Pixels
+     * @returns {Array<string>}
+     */
+    wrapText(text, maxWidth) {
+        const lines = [];
+        let line = '';
+        for (const word of text.split(/\s+/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    renderCollisionOverlay(scaledTileSize) {
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(255, 68, 68, 0.35)';
+        
+        for (let y = 0; y < this.mapHeight; y++) {
+            for (let x = 0; x < this.mapWidth; x++) {
+                if (!this.canMoveTo(x, y)) {
+                    ctx.fillRect(x * scaledTileSize, y * scaledTileSize, scaledTileSize, scaledTileSize);
+                }
+            }
+        }
+    }
+
     renderEntities(scaledTileSize) {
         const entities = this.entityManager.getAll();
         
         for (const entity of entities) {
             if (!entity.visible || !entity.active) continue;
+            if (entity === this.player) continue; // Drawn by renderCharacter
             
             // Determine which layer to render on
             if (entity.layer === 'items' && !this.layers.items) continue;
@@ -491,6 +828,7 @@ class MapRenderer {
                     this.zoom
                 );
             }
+            this.renderHeldItem(entity, pos);
         } else if (entity.type === 'functional' || entity.type === 'item') {
             // Functional item or regular item with sprite
             const tile = tilesetManager.getTile(
@@ -501,10 +839,11 @@ class MapRenderer {
             );
             
             if (tile) {
-                // Show visual indicator if item is in use
-                if (entity.inUse) {
+                // Show visual indicator if item is in use or used up
+                const empty = entity.type === 'functional' && entity.isEmpty();
+                if (entity.inUse || empty) {
                     this.ctx.save();
-                    this.ctx.globalAlpha = 0.6;
+                    this.ctx.globalAlpha = entity.inUse ? 0.6 : 0.3;
                 }
                 
                 tilesetManager.drawTile(
@@ -515,20 +854,27 @@ class MapRenderer {
                     this.zoom
                 );
                 
-                if (entity.inUse) {
+                if (entity.inUse || empty) {
                     this.ctx.restore();
-                    
-                    // Draw progress indicator
-                    const progress = entity.useTime / entity.maxUseTime;
-                    const barWidth = 32 * this.zoom;
+                }
+                
+                if (entity.inUse) {
+                    // Draw occupancy: one segment per user slot, filled with that user's progress
+                    const userIds = entity.getUserIds();
+                    const gap = entity.capacity > 1 ? 1 * this.zoom : 0;
+                    const segmentWidth = (32 * this.zoom - gap * (entity.capacity - 1)) / entity.capacity;
                     const barHeight = 4 * this.zoom;
-                    const barX = pos.x * this.zoom;
                     const barY = (pos.y * this.zoom) - (8 * this.zoom);
                     
-                    this.ctx.fillStyle = '#333';
-                    this.ctx.fillRect(barX, barY, barWidth, barHeight);
-                    this.ctx.fillStyle = '#4a9eff';
-                    this.ctx.fillRect(barX, barY, barWidth * progress, barHeight);
+                    for (let i = 0; i < entity.capacity; i++) {
+                        const barX = pos.x * this.zoom + i * (segmentWidth + gap);
+                        this.ctx.fillStyle = '#333';
+                        this.ctx.fillRect(barX, barY, segmentWidth, barHeight);
+                        if (i < userIds.length) {
+                            this.ctx.fillStyle = '#4a9eff';
+                            this.ctx.fillRect(barX, barY, segmentWidth * entity.getUseProgress(userIds[i]), barHeight);
+                        }
+                    }
                 }
             }
         }
@@ -552,9 +898,19 @@ class MapRenderer {
                 renderY,
                 this.zoom
             );
+            this.renderHeldItem(character, pos);
         }
     }
 
+    renderHeldItem(holder, pos) {
+        const held = holder.inventory ? holder.inventory.getHeld() : null;
+        if (!held || !held.sprite || holder.direction === 3) return; // Hidden behind the body when facing away
+
+        const tile = this.tilesetManager.getTile(held.sprite.tileset, held.sprite.tileX, held.sprite.tileY, { width: 32, height: 32 });
+        const handX = holder.direction === 1 ? -2 : 18; // Left hand when facing left, right hand otherwise
+        this.tilesetManager.drawTile(this.ctx, tile, (pos.x + handX) * this.zoom, (pos.y + 4) * this.zoom, this.zoom * 0.5);
+    }
+
     updateCamera() {
         if (!this.player) return;
 
@@ -620,6 +976,8 @@ class MapRenderer {
 
     show() {
         this.updateEntityCount();
+        this.updateSeedDisplay();
+        this.updateNeedDefinitionsList();
         // Start game loop if not already running
         if (!this.animationFrameId) {
             this.startGameLoop();
@@ -633,7 +991,14 @@ class MapRenderer {
         if (x === null) x = Math.floor(this.mapWidth / 2);
         if (y === null) y = Math.floor(this.mapHeight / 2);
 
+        if (this.player) {
+            this.player.stopUsingItem('respawned');
+            this.entityManager.remove(this.player.id);
+        }
         this.player = new Character(x, y);
+        this.player.setNeedsEnabled(document.getElementById('player-needs').checked);
+        this.entityManager.add(this.player);
+        this.updateEntityCount();
         
         if (!this.inputHandler) {
             this.inputHandler = new InputHandler();
@@ -701,39 +1066,149 @@ class MapRenderer {
     }
 
     update(deltaTime) {
-        // Update time system (always, even in edit mode)
-        if (window.timeSystem) {
-            window.timeSystem.update(deltaTime);
-            this.updateTimeDisplay();
-        }
-
-        // Update entities (always, so NPCs can manage needs)
-        this.entityManager.update(deltaTime);
+        // Update time system and entities in fixed steps (always, even in edit mode)
+        // Entities run on simulation time: frozen while paused, scaled by the speed setting
+        this.simulation.update(deltaTime);
+        this.updateTimeDisplay();
 
         if (!this.player || !this.inputHandler) return;
 
-        // Update character
-        this.player.update(deltaTime);
+        // Move the character (real time; needs and item use run on simulation time)
+        this.player.updateMovement(deltaTime);
+        this.entityManager.updateEntityPosition(this.player);
+
+        // A conversation takes the keyboard until it ends
+        this.endOrphanedConversation();
+        if (this.player.conversation) {
+            this.updateConversation(this.player.conversation);
+            return;
+        }
 
         // Handle input
         const direction = this.inputHandler.getMovementDirection();
         if (direction !== null && !this.player.isMoving) {
-            this.player.move(direction, (x, y) => {
-                // Collision check - can be expanded later
-                return x >= 0 && x < this.mapWidth && y >= 0 && y < this.mapHeight;
-            });
+            this.player.move(direction, (x, y) => this.canMoveTo(x, y));
+        }
+
+        // E picks up, hands over or interacts; Q drops the held item
+        const interact = this.inputHandler.wasKeyPressed('e');
+        const drop = this.inputHandler.wasKeyPressed('q');
+        if (this.gameMode && !this.player.isMoving) {
+            if (interact) this.playerInteract();
+            if (drop) this.playerDrop();
         }
     }
 
-    canMoveTo(x, y) {
-        // Basic bounds check
-        if (x < 0 || x >= this.mapWidth || y < 0 || y >= this.mapHeight) {
-            return false;
+    /**
+     * End the player's conversation if its NPC is no longer on the map (cleared, replaced or a map was loaded)
+     */
+    endOrphanedConversation() {
+        const conversation = this.player ? this.player.conversation : null;
+        if (conversation && this.entityManager.get(conversation.npc.id) !== conversation.npc) {
+            conversation.end();
+            this.player.conversation = null;
+        }
+    }
+
+    /**
+     * Handle dialogue keys: 1-9 pick a choice, E/Enter/Space continue, Escape leaves
+     * @param {Conversation} conversation
+     */
+    updateConversation(conversation) {
+        const input = this.inputHandler;
+        if (!this.gameMode || input.wasKeyPressed('escape')) {
+            conversation.end();
+        } else if (input.wasKeyPressed('e') || input.wasKeyPressed('enter') || input.wasKeyPressed(' ')) {
+            conversation.advance();
+        } else {
+            for (let number = 1; number <= 9; number++) {
+                if (input.wasKeyPressed(String(number))) {
+                    conversation.choose(number - 1);
+                    break;
+                }
+            }
         }
 
-        // Check for blocking tiles (can be expanded)
-        // For now, allow movement anywhere within bounds
-        return true;
+        if (conversation.ended) {
+            this.player.conversation = null;
+        }
+    }
+
+    playerInteract() {
+        const player = this.player;
+        const inventory = player.inventory;
+
+        // E again gets up from the item in use
+        if (player.usingItem) {
+            player.stopUsingItem('got up');
+            return;
+        }
+
+        // The entity in front, else one on our own tile (e.g. a bed we stand on)
+        const facing = player.getFacingTile();
+        const target = this.entityManager.getInteractableAt(facing.x, facing.y) ||
+            this.entityManager.getInteractableAt(player.tileX, player.tileY);
+        if (!target) return;
+
+        if (target.type === 'npc') {
+            if (inventory.isEmpty()) {
+                target.onInteract(player); // Talk
+                return;
+            }
+
+            // Hand over the held item
+            const entry = inventory.giveTo(target.inventory);
+            if (entry) {
+                target.updateRelationship(player, 5); // A gift
+                target.recordInteraction(player, 'gift');
+            }
+            if (window.activityLogger) {
+                window.activityLogger.log(entry ? `${player.name} gave ${entry.name} to ${target.name}` :
+                    `${target.name} has no room to carry anything else`, 'info');
+            }
+            return;
+        }
+
+        if (Inventory.canCarry(target)) {
+            const name = target.name;
+            const pickedUp = inventory.pickUp(target);
+            if (window.activityLogger) {
+                window.activityLogger.log(pickedUp ? `${player.name} picked up ${name}` :
+                    `${player.name} has no room to carry ${name}`, 'info');
+            }
+            this.updateEntityCount();
+            return;
+        }
+
+        if (target.type === 'functional') {
+            // Use it, or refill it if there is nothing left to use
+            if (!player.useItem(target) && !target.onInteract(player) && window.activityLogger) {
+                window.activityLogger.log(`${player.name} can't use ${target.name} from here`, 'info');
+            }
+            return;
+        }
+
+        target.onInteract(player);
+    }
+
+    playerDrop() {
+        const held = this.player.inventory.getHeld();
+        if (!held) return;
+
+        // In front if there is room, otherwise at our feet
+        const facing = this.player.getFacingTile();
+        const free = this.world.canMoveTo(facing.x, facing.y) &&
+            !this.entityManager.getAtPosition(facing.x, facing.y).some(entity => entity.active && entity.type !== 'npc');
+        const tile = free ? facing : { x: this.player.tileX, y: this.player.tileY };
+
+        if (this.player.inventory.drop(tile.x, tile.y) && window.activityLogger) {
+            window.activityLogger.log(`${this.player.name} dropped ${held.name}`, 'info');
+        }
+        this.updateEntityCount();
+    }
+
+    canMoveTo(x, y) {
+        return this.world.canMoveTo(x, y);
     }
 
     // Entity management methods
@@ -889,7 +1364,7 @@ class MapRenderer {
         }
         
         // Check if position is already occupied
-        const existing = this.entityManager.getAtPosition(x, y);
+        const existing = this.entityManager.getAtPosition(x, y).filter(e => e !== this.player);
         if (existing.length > 0) {
             // Remove existing entity at this position
             existing.forEach(e => this.entityManager.remove(e.id));
@@ -901,6 +1376,12 @@ class MapRenderer {
             return;
         }
         
+        // Apply collision setting
+        const blocksCheckbox = document.getElementById('item-blocks-movement');
+        if (blocksCheckbox) {
+            entity.blocksMovement = blocksCheckbox.checked;
+        }
+        
         // Apply custom sprite if set
         if (this.customItemSprite) {
             entity.setSprite(
@@ -921,19 +1402,90 @@ class MapRenderer {
         const firstNames = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Casey', 'Morgan', 'Riley', 'Avery', 'Quinn', 'Blake', 'Cameron', 'Dakota', 'Emery', 'Finley', 'Harper', 'Hayden', 'Jamie', 'Kai', 'Logan', 'Noah'];
         const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee'];
         
-        const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-        const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+        const rng = SeededRandom.getShared();
+        const firstName = rng.pick(firstNames);
+        const lastName = rng.pick(lastNames);
         return `${firstName} ${lastName}`;
     }
 
+    restockItems() {
+        let restocked = 0;
+        for (const item of this.entityManager.getByType('functional')) {
+            if (item.active && item.onInteract(this.player)) {
+                restocked++;
+            }
+        }
+        
+        if (restocked === 0 && window.activityLogger) {
+            window.activityLogger.log('Nothing needed restocking', 'info');
+        }
+        this.render();
+    }
+
     clearEntities() {
         if (confirm('Clear all entities?')) {
             this.entityManager.clear();
+            if (this.player) {
+                this.player.stopUsingItem('cleared');
+                this.entityManager.add(this.player); // The player is not a placed entity
+            }
             this.updateEntityCount();
             this.render();
         }
     }
 
+    /**
+     * Show the orders the selected NPC can be given about an entity
+     * @param {Entity} target - Functional item or another NPC
+     * @param {number} clientX - Where to open the menu (page coordinates)
+     * @param {number} clientY
+     */
+    showCommandMenu(target, clientX, clientY) {
+        const npc = this.selectedNPC;
+        const options = npc.getCommandOptions(target);
+        this.commandMenu = { npc, target, options };
+
+        let html = `<div class="context-menu-title">${npc.name}</div>`;
+        options.forEach((option, index) => {
+            html += `<div class="context-menu-item" onclick="window.mapRenderer.chooseCommand(${index})">${option.label}</div>`;
+        });
+        if (target.type === 'npc') {
+            html += `<div class="context-menu-item" onclick="window.mapRenderer.chooseCommand(-1)">Select ${target.name}</div>`;
+        } else if (options.length === 0) {
+            html += `<div class="context-menu-item disabled">Nothing to do with ${target.name}</div>`;
+        }
+
+        const menu = document.getElementById('command-menu');
+        menu.innerHTML = html;
+        menu.style.left = `${clientX}px`;
+        menu.style.top = `${clientY}px`;
+        menu.style.display = 'block';
+    }
+
+    hideCommandMenu() {
+        this.commandMenu = null;
+        document.getElementById('command-menu').style.display = 'none';
+    }
+
+    /**
+     * Queue an order from the open menu
+     * @param {number} index - Into the menu options, or -1 to select the clicked NPC instead
+     */
+    chooseCommand(index) {
+        const menu = this.commandMenu;
+        this.hideCommandMenu();
+        if (!menu) return;
+
+        if (index < 0) {
+            this.selectNPC(menu.target);
+            return;
+        }
+        if (!menu.npc.queueCommand(menu.options[index])) {
+            alert(`${menu.npc.name} already has ${menu.npc.maxCommands} orders queued`);
+        }
+        this.updateSelectedNPCInfo();
+    }
+
     updateEntityCount() {
         const count = this.entityManager.getAll().length;
         document.getElementById('entity-count').textContent = `Entities: ${count}`;
@@ -941,6 +1493,366 @@ class MapRenderer {
 
     selectNPC(npc) {
         this.selectedNPC = npc;
+        this.setPatrolEditing(false);
+        this.updateSelectedNPCInfo();
+        this.showNPCProfile();
+        this.showNPCPatrol();
+        this.showNPCSchedule();
+        this.showNPCDialogue();
+    }
+
+    /**
+     * Fill the patrol editor with the selected NPC's behaviour and waypoints
+     */
+    showNPCPatrol() {
+        const editor = document.getElementById('npc-patrol-editor');
+        const npc = this.selectedNPC;
+        if (!npc || npc.type !== 'npc') {
+            editor.style.display = 'none';
+            return;
+        }
+
+        editor.style.display = 'block';
+        document.getElementById('npc-ai-type').value = npc.aiType;
+        document.getElementById('npc-patrol-mode').value = npc.patrolMode;
+
+        const list = document.getElementById('npc-patrol-list');
+        if (npc.patrolPath.length === 0) {
+            list.innerHTML = '<span style="color: #888;">No waypoints</span>';
+            return;
+        }
+        let html = '';
+        npc.patrolPath.forEach((point, index) => {
+            html += `<div style="display: flex; align-items: center; gap: 0.25rem; margin-top: 0.1rem;">`;
+            html += `<span style="flex: 1;">${index + 1}. (${point.x}, ${point.y})</span>`;
+            html += `wait <input type="number" min="0" value="${point.wait}" data-wait-index="${index}" style="width: 45px;"> min`;
+            html += `<span style="color: #ff4444; cursor: pointer;" title="Remove" data-remove-index="${index}">&times;</span>`;
+            html += `</div>`;
+        });
+        list.innerHTML = html;
+    }
+
+    /**
+     * Turn waypoint editing for the selected NPC on or off
+     * @param {boolean} editing
+     */
+    setPatrolEditing(editing) {
+        this.patrolEditing = editing && !!this.selectedNPC;
+        const button = document.getElementById('edit-npc-patrol');
+        button.textContent = this.patrolEditing ? 'Done Editing' : 'Edit Path';
+        button.style.background = this.patrolEditing ? '#ff4444' : '';
+        this.render();
+    }
+
+    addPatrolWaypoint(x, y) {
+        const npc = this.selectedNPC;
+        if (!this.canMoveTo(x, y)) {
+            alert('Waypoints must be on walkable tiles');
+            return;
+        }
+
+        const wait = Math.max(0, parseFloat(document.getElementById('npc-patrol-wait').value) || 0);
+        npc.setPatrolPath(npc.patrolPath.concat([{ x, y, wait }]));
+        this.showNPCPatrol();
+        this.render();
+    }
+
+    removePatrolWaypoint(index) {
+        const npc = this.selectedNPC;
+        if (!npc) return;
+
+        npc.setPatrolPath(npc.patrolPath.filter((point, i) => i !== index));
+        this.showNPCPatrol();
+        this.render();
+    }
+
+    /**
+     * Draw an NPC's patrol path as a numbered polyline through the waypoint tiles
+     * @param {NPC} npc
+     * @param {number} scaledTileSize
+     */
+    renderPatrolPath(npc, scaledTileSize) {
+        const path = npc.patrolPath;
+        if (path.length === 0) return;
+
+        const ctx = this.ctx;
+        const center = (point) => ({
+            x: (point.x + 0.5) * scaledTileSize,
+            y: (point.y + 0.5) * scaledTileSize
+        });
+
+        ctx.save();
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        path.forEach((point, index) => {
+            const pos = center(point);
+            if (index === 0) {
+                ctx.moveTo(pos.x, pos.y);
+            } else {
+                ctx.lineTo(pos.x, pos.y);
+            }
+        });
+        ctx.stroke();
+
+        // Loops go back to the first waypoint
+        if (npc.patrolMode === 'loop' && path.length > 2) {
+            const first = center(path[0]);
+            const last = center(path[path.length - 1]);
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(last.x, last.y);
+            ctx.lineTo(first.x, first.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        const radius = Math.max(7, scaledTileSize * 0.25);
+        ctx.font = `bold ${Math.round(radius * 1.2)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        path.forEach((point, index) => {
+            const pos = center(point);
+            ctx.fillStyle = index === npc.currentPatrolIndex && npc.aiType === 'patrol' ? '#4a9eff' : '#ffd700';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillText(String(index + 1), pos.x, pos.y);
+            if (point.wait > 0) {
+                ctx.fillStyle = '#ffd700';
+                ctx.fillText(`${point.wait}m`, pos.x, pos.y + radius * 2);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Fill the schedule editor with the selected NPC's template and blocks
+     */
+    showNPCSchedule() {
+        const editor = document.getElementById('npc-schedule-editor');
+        const npc = this.selectedNPC;
+        if (!npc || npc.type !== 'npc') {
+            editor.style.display = 'none';
+            return;
+        }
+
+        editor.style.display = 'block';
+        const templates = Schedule.getTemplates();
+        const templateSelect = document.getElementById('npc-schedule-template');
+        templateSelect.innerHTML = '<option value="">No template</option>' + Object.entries(templates)
+            .map(([key, template]) => `<option value="${key}">${template.name}</option>`).join('');
+        templateSelect.value = npc.scheduleTemplate || '';
+
+        const list = document.getElementById('npc-schedule-list');
+        if (npc.schedule.length === 0) {
+            const template = templates[npc.scheduleTemplate];
+            list.innerHTML = `<span style="color: #888;">${template ? `Following the ${template.name} template` : 'No blocks'}</span>`;
+            return;
+        }
+
+        // Places: any item of a type on the map, or one item in particular
+        const items = this.entityManager.getByType('functional');
+        const definitions = ItemDefinitions.getDefinitions();
+        const types = Array.from(new Set(items.map(item => item.defKey).filter(key => key)));
+        const placeOptions = (place) => {
+            let options = '<option value="">No place</option>';
+            options += '<optgroup label="Nearest free">';
+            options += types.map(key => `<option value="${key}">Any ${definitions[key] ? definitions[key].name : key}</option>`).join('');
+            options += '</optgroup><optgroup label="This item">';
+            options += items.map(item => `<option value="${item.id}">${item.name} at (${item.tileX}, ${item.tileY})</option>`).join('');
+            options += '</optgroup>';
+            if (place && !types.includes(place) && !items.some(item => item.id === place)) {
+                options += `<option value="${place}">${place} (not on map)</option>`;
+            }
+            return options;
+        };
+        const priorityNames = { low: 'Low', normal: 'Normal', high: 'High', override: 'Override' };
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const dayPresets = this.getScheduleDayPresets();
+        const dateOptions = (list, presets, anyName) => {
+            const matching = Object.keys(presets).find(key => presets[key].join(',') === (list || []).join(','));
+            let options = `<option value="">${anyName}</option>`;
+            options += Object.keys(presets).map(key => `<option value="${key}">${capitalize(key)}</option>`).join('');
+            if (list && list.length > 0 && !matching) {
+                options += `<option value="custom">${list.map(key => capitalize(key.slice(0, 3))).join(', ')}</option>`;
+            }
+            return options;
+        };
+        const seasonPresets = {};
+        TimeSystem.getSeasons().forEach(season => { seasonPresets[season] = [season]; });
+
+        let html = '';
+        npc.schedule.forEach((block, index) => {
+            html += `<div style="margin-top: 0.25rem; padding-bottom: 0.25rem; border-bottom: 1px solid #444;">`;
+            html += `<div style="display: flex; align-items: center; gap: 0.25rem;">`;
+            html += `<input type="text" value="${block.activity.replace(/"/g, '&quot;')}" data-schedule-index="${index}" data-field="activity" style="flex: 1; min-width: 0;">`;
+            html += `<span style="color: #ff4444; cursor: pointer;" title="Remove" data-remove-block="${index}">&times;</span>`;
+            html += `</div>`;
+            html += `<div style="display: flex; gap: 0.25rem; margin-top: 0.1rem;">`;
+            html += `<input type="time" value="${block.start}" data-schedule-index="${index}" data-field="start" style="flex: 1; min-width: 0;">`;
+            html += `<input type="time" value="${block.end}" data-schedule-index="${index}" data-field="end" style="flex: 1; min-width: 0;">`;
+            html += `</div>`;
+            html += `<div style="display: flex; gap: 0.25rem; margin-top: 0.1rem;">`;
+            html += `<select data-schedule-index="${index}" data-field="place" style="flex: 2; min-width: 0;">${placeOptions(block.place)}</select>`;
+            html += `<select data-schedule-index="${index}" data-field="priority" style="flex: 1; min-width: 0;">`;
+            html += Schedule.getPriorities().map(priority => `<option value="${priority}">${priorityNames[priority]}</option>`).join('');
+            html += `</select>`;
+            html += `</div>`;
+            html += `<div style="display: flex; gap: 0.25rem; margin-top: 0.1rem;">`;
+            html += `<select data-schedule-index="${index}" data-field="days" style="flex: 1; min-width: 0;">${dateOptions(block.days, dayPresets, 'Every day')}</select>`;
+            html += `<select data-schedule-index="${index}" data-field="seasons" style="flex: 1; min-width: 0;">${dateOptions(block.seasons, seasonPresets, 'All year')}</select>`;
+            html += `</div>`;
+            html += `</div>`;
+        });
+        list.innerHTML = html;
+
+        // Select values are set after the options exist
+        list.querySelectorAll('select').forEach(select => {
+            const value = npc.schedule[parseInt(select.dataset.scheduleIndex, 10)][select.dataset.field];
+            if (!Array.isArray(value)) {
+                select.value = value || '';
+                return;
+            }
+            const presets = select.dataset.field === 'days' ? dayPresets : seasonPresets;
+            select.value = Object.keys(presets).find(key => presets[key].join(',') === value.join(',')) || 'custom';
+        });
+    }
+
+    /**
+     * Get the day choices offered for schedule blocks
+     * @returns {Object} {key: [weekday, ...]}
+     */
+    getScheduleDayPresets() {
+        const presets = { workdays: Schedule.getWorkdays(), weekend: TimeSystem.getWeekdays().slice(5) };
+        for (const weekday of TimeSystem.getWeekdays()) {
+            presets[weekday] = [weekday];
+        }
+        return presets;
+    }
+
+    /**
+     * Replace the selected NPC's own schedule blocks, refusing invalid ones
+     * @param {Array<Object>} blocks
+     */
+    setNPCSchedule(blocks) {
+        const npc = this.selectedNPC;
+        if (!npc) return;
+
+        const errors = Schedule.validate(blocks);
+        if (errors.length > 0) {
+            alert(`Invalid schedule:\n${errors.join('\n')}`);
+        } else {
+            npc.setSchedule(blocks);
+        }
+        this.showNPCSchedule();
+        this.updateSelectedNPCInfo();
+    }
+
+    /**
+     * Get the name of a schedule block's place
+     * @param {string|null} place - Item definition key or item id
+     * @returns {string}
+     */
+    getSchedulePlaceName(place) {
+        if (!place) return '';
+
+        const item = this.entityManager.get(place);
+        if (item) return `${item.name} (${item.tileX}, ${item.tileY})`;
+        const def = ItemDefinitions.getDefinitions()[place];
+        return def ? def.name : place;
+    }
+
+    showNPCDialogue() {
+        const editor = document.getElementById('npc-dialogue-editor');
+        const npc = this.selectedNPC;
+        if (!npc || npc.type !== 'npc') {
+            editor.style.display = 'none';
+            return;
+        }
+
+        editor.style.display = 'block';
+        document.getElementById('npc-dialogue-json').value = JSON.stringify(npc.dialogueTree, null, 2);
+        this.setDialogueStatus(`${Object.keys(npc.dialogueTree.nodes).length} nodes`, '#888');
+    }
+
+    /**
+     * Check the dialogue editor's tree and give it to the selected NPC
+     */
+    applyNPCDialogue() {
+        const npc = this.selectedNPC;
+        if (!npc) return;
+
+        let tree;
+        try {
+            tree = JSON.parse(document.getElementById('npc-dialogue-json').value);
+        } catch (error) {
+            this.setDialogueStatus(`Invalid JSON: ${error.message}`, '#ff4444');
+            return;
+        }
+
+        const errors = DialogueTree.validate(tree);
+        if (errors.length > 0) {
+            this.setDialogueStatus(errors.join('\n'), '#ff4444');
+            return;
+        }
+        npc.setDialogueTree(tree);
+        this.setDialogueStatus(`Saved ${Object.keys(tree.nodes).length} nodes for ${npc.name}`, '#4a9eff');
+    }
+
+    /**
+     * Show a message under the dialogue editor
+     * @param {string} text - One problem per line
+     * @param {string} color
+     */
+    setDialogueStatus(text, color) {
+        const status = document.getElementById('npc-dialogue-status');
+        status.textContent = text;
+        status.style.color = color;
+    }
+
+    /**
+     * Fill the romance profile form for the selected NPC
+     */
+    showNPCProfile() {
+        const profile = document.getElementById('npc-profile');
+        const npc = this.selectedNPC;
+        if (!npc || npc.type !== 'npc') {
+            profile.style.display = 'none';
+            return;
+        }
+
+        profile.style.display = 'block';
+        document.getElementById('npc-autonomy').value = npc.autonomy || '';
+        document.getElementById('npc-age').value = npc.age;
+        document.getElementById('npc-age-gap').value = npc.romanceMaxAgeGap;
+        document.getElementById('npc-gender').value = npc.gender;
+        document.querySelectorAll('.npc-attracted').forEach(checkbox => {
+            checkbox.checked = npc.attractedTo.includes(checkbox.value);
+        });
+    }
+
+    /**
+     * Apply the romance profile form to the selected NPC
+     */
+    applyNPCProfile() {
+        const npc = this.selectedNPC;
+        if (!npc) return;
+
+        const age = parseInt(document.getElementById('npc-age').value, 10);
+        const gap = parseInt(document.getElementById('npc-age-gap').value, 10);
+        if (isNaN(age) || age < 1 || isNaN(gap) || gap < 0) {
+            alert('Age must be at least 1 and the age gap 0 or more');
+            return;
+        }
+
+        npc.age = age;
+        npc.romanceMaxAgeGap = gap;
+        npc.gender = document.getElementById('npc-gender').value;
+        npc.attractedTo = Array.from(document.querySelectorAll('.npc-attracted'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
         this.updateSelectedNPCInfo();
     }
 
@@ -963,7 +1875,10 @@ class MapRenderer {
         html += `Position: (${npc.tileX}, ${npc.tileY})<br>`;
         html += `Social: ${(npc.personality.social * 100).toFixed(0)}% | `;
         html += `Helpful: ${(npc.personality.helpful * 100).toFixed(0)}% | `;
-        html += `Active: ${(npc.personality.active * 100).toFixed(0)}%`;
+        html += `Active: ${(npc.personality.active * 100).toFixed(0)}%<br>`;
+        html += `Age ${npc.age}, ${npc.gender}, attracted to ${npc.attractedTo.length > 0 ? npc.attractedTo.join(', ') : 'nobody'}<br>`;
+        const autonomyNames = { full: 'Full', needs: 'Needs only', off: 'Off' };
+        html += `Autonomy: ${autonomyNames[npc.getAutonomy()]}${npc.autonomy ? '' : ' (world setting)'}`;
         html += `</div>`;
         html += `</div>`;
         
@@ -989,35 +1904,151 @@ class MapRenderer {
         if (npc.relationships && npc.relationships.size > 0) {
             html += `<div style="margin-top: 0.5rem;">`;
             html += `<strong style="font-size: 0.85rem; color: #4a9eff;">Relationships:</strong>`;
-            const allNPCs = this.entityManager.getByType('npc');
-            for (const otherNPC of allNPCs) {
-                if (otherNPC.id === npc.id) continue;
-                const relValue = npc.getRelationship(otherNPC);
-                if (relValue !== 0 || npc.relationships.has(otherNPC.id)) {
+            const others = this.entityManager.getByType('npc').concat(this.entityManager.getByType('player'));
+            for (const other of others) {
+                if (other.id === npc.id) continue;
+                const relValue = npc.getRelationship(other);
+                if (relValue !== 0 || npc.relationships.has(other.id)) {
                     const status = npc.getRelationshipStatus(relValue);
                     const relColor = relValue > 0 ? '#4a9eff' : relValue < 0 ? '#ff4444' : '#888';
+                    const rel = npc.relationships.get(other.id);
+                    const last = npc.interactionHistory.slice().reverse().find(entry => entry.with === other.id);
                     html += `<div style="font-size: 0.75rem; margin-top: 0.25rem;">`;
-                    html += `<span style="color: ${relColor};">${otherNPC.name}: ${status} (${relValue > 0 ? '+' : ''}${relValue.toFixed(0)})</span>`;
+                    html += `<span style="color: ${relColor};">${other.name}: ${status} (${relValue > 0 ? '+' : ''}${relValue.toFixed(0)})</span>`;
+                    const romance = npc.getRomanceStatus(other);
+                    if (romance) {
+                        html += `<span style="color: #ff69b4;"> &hearts; ${romance} (${npc.getRomance(other).toFixed(0)})</span>`;
+                    }
+                    if (last) {
+                        html += `<span style="color: #888;"> - last: ${last.type}</span>`;
+                    }
+                    if (rel && npc.isRelationshipFading(rel)) {
+                        html += `<span style="color: #888;">, fading</span>`;
+                    }
                     html += `</div>`;
                 }
             }
             html += `</div>`;
         }
         
+        // Show strongest memories
+        const memories = npc.memory.getStrongest(5);
+        if (memories.length > 0) {
+            html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
+            html += `<strong style="font-size: 0.85rem; color: #4a9eff;">Memories:</strong>`;
+            for (const memory of memories) {
+                const color = memory.sentiment > 0 ? '#4a9eff' : memory.sentiment < 0 ? '#ff4444' : '#888';
+                html += `<div style="margin-top: 0.1rem; color: ${color};">${memory.description} (${memory.strength.toFixed(0)})`;
+                if (memory.sourceName) {
+                    html += `<span style="color: #888;"> - heard from ${memory.sourceName}</span>`;
+                }
+                html += `</div>`;
+            }
+            html += `</div>`;
+        }
+        
         // Show current action
         html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
         html += `<strong style="color: #4a9eff;">Status:</strong> `;
         if (npc.usingItem && npc.targetItem) {
-            html += `<span style="color: #4a9eff;">Using ${npc.targetItem.name}</span>`;
+            const progress = npc.targetItem.getUseProgress(npc.id) * 100;
+            html += `<span style="color: #4a9eff;">Using ${npc.targetItem.name} (${progress.toFixed(0)}%)</span>`;
+        } else if (npc.waitingFor) {
+            html += `<span style="color: #ffa500;">Waiting for ${npc.waitingFor.item.name}</span>`;
         } else if (npc.isMoving) {
             html += `<span style="color: #4a9eff;">Moving...</span>`;
         } else if (npc.currentGoal) {
-            html += `<span style="color: #4a9eff;">Seeking: ${npc.currentGoal.needType}</span>`;
+            html += `<span style="color: #4a9eff;">${npc.currentGoal.label}</span>`;
         } else {
             html += `<span style="color: #888;">Idle</span>`;
         }
         html += `</div>`;
-        
+        if (!npc.inventory.isEmpty()) {
+            // Held item first
+            const names = npc.inventory.entries.map(entry => entry.name).reverse();
+            html += `<div style="margin-top: 0.25rem; font-size: 0.75rem; color: #b0b0b0;">Carrying ${names.join(', ')} (${names.length}/${npc.inventory.capacity})</div>`;
+        }
+
+        // Show the day's schedule as a timeline, with the current block
+        const blocks = npc.getScheduleBlocks();
+        if (blocks.length > 0 && window.timeSystem) {
+            const now = window.timeSystem.currentTime;
+            const today = window.timeSystem.getCalendar();
+            const yesterday = window.timeSystem.getCalendar(-1);
+            const colors = { low: '#666', normal: '#4a9eff', high: '#ffa500', override: '#ff4444' };
+            const segment = (block, from, to) => `<div title="${block.activity} ${block.start}-${block.end}" style="position: absolute; top: 0; bottom: 0; ` +
+                `left: ${(from / 1440 * 100).toFixed(2)}%; width: ${((to - from) / 1440 * 100).toFixed(2)}%; background: ${colors[block.priority]}; opacity: 0.8;"></div>`;
+
+            html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
+            html += `<strong style="color: #4a9eff;">Schedule:</strong>`;
+            html += `<div style="position: relative; background: #555; height: 10px; border-radius: 2px; margin-top: 0.25rem; overflow: hidden;">`;
+            for (const block of blocks.slice().reverse()) { // Earlier blocks win, so draw them last
+                const start = Schedule.parseTime(block.start);
+                const end = Schedule.parseTime(block.end);
+                if (start < end) {
+                    if (Schedule.isOnDate(block, today)) html += segment(block, start, end);
+                    continue;
+                }
+                // After midnight is the end of yesterday's block
+                if (Schedule.isOnDate(block, yesterday)) html += segment(block, 0, end);
+                if (Schedule.isOnDate(block, today)) html += segment(block, start, 1440);
+            }
+            html += `<div style="position: absolute; top: 0; bottom: 0; left: ${(now / 1440 * 100).toFixed(2)}%; width: 2px; background: #fff;"></div>`;
+            html += `</div>`;
+            html += `<div style="display: flex; justify-content: space-between; color: #888;"><span>00</span><span>06</span><span>12</span><span>18</span><span>24</span></div>`;
+
+            const current = npc.getScheduleBlock();
+            if (current) {
+                const place = this.getSchedulePlaceName(current.place);
+                html += `<div style="color: ${colors[current.priority]};">Now: ${current.activity}${place ? ` at ${place}` : ''} until ${current.end} (${current.priority})</div>`;
+            } else {
+                const next = Schedule.getNextBlock(blocks, now, today, window.timeSystem.getCalendar(1));
+                html += `<div style="color: #888;">Now: free time${next ? `, ${next.activity} at ${next.start}` : ''}</div>`;
+            }
+            html += `</div>`;
+        }
+
+        // Show orders from the player, each with a cancel button
+        if (npc.currentCommand || npc.commandQueue.length > 0) {
+            const cancel = (call) => `<span style="color: #ff4444; cursor: pointer;" title="Cancel" onclick="window.mapRenderer.selectedNPC.${call}; window.mapRenderer.updateSelectedNPCInfo()">&times;</span>`;
+            html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
+            html += `<strong style="color: #4a9eff;">Orders:</strong>`;
+            if (npc.currentCommand) {
+                html += `<div style="display: flex; justify-content: space-between; margin-top: 0.1rem; color: #4a9eff;">`;
+                html += `<span>&gt; ${npc.currentCommand.label}</span>${cancel('cancelCurrentCommand()')}</div>`;
+            }
+            npc.commandQueue.forEach((command, index) => {
+                html += `<div style="display: flex; justify-content: space-between; margin-top: 0.1rem; color: #b0b0b0;">`;
+                html += `<span>&nbsp; ${command.label}</span>${cancel(`cancelCommand(${index})`)}</div>`;
+            });
+            html += `</div>`;
+        }
+
+        // Show the current plan, done steps greyed out
+        if (npc.plan) {
+            html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
+            html += `<strong style="color: #4a9eff;">Plan:</strong> ${npc.plan.name}`;
+            npc.plan.steps.forEach((step, index) => {
+                const color = index < npc.plan.index ? '#666' : index === npc.plan.index ? '#4a9eff' : '#b0b0b0';
+                html += `<div style="margin-top: 0.1rem; color: ${color};">${index === npc.plan.index ? '&gt;' : '&nbsp;'} ${index + 1}. ${step.label}</div>`;
+            });
+            html += `</div>`;
+        }
+
+        // Show top-scored actions of the last decision
+        if (npc.actionCandidates && npc.actionCandidates.length > 0) {
+            html += `<div style="margin-top: 0.5rem; font-size: 0.75rem;">`;
+            html += `<strong style="color: #4a9eff;">Top Actions:</strong>`;
+            npc.actionCandidates.forEach((candidate, index) => {
+                const color = index === 0 ? '#4a9eff' : '#b0b0b0';
+                html += `<div style="display: flex; justify-content: space-between; margin-top: 0.1rem; color: ${color};">`;
+                html += `<span>${index + 1}. ${candidate.label}</span>`;
+                html += `<span>${candidate.score.toFixed(3)}</span>`;
+                html += `</div>`;
+            });
+            html += `</div>`;
+        }
+
         infoDiv.innerHTML = html;
     }
 
@@ -1081,6 +2112,10 @@ class MapRenderer {
         if (!timeText || !timeOfDayText || !progressFill) return;
         
         timeText.textContent = timeSystem.getFormattedTime();
+        const dateText = document.getElementById('time-date');
+        if (dateText) {
+            dateText.textContent = timeSystem.getFormattedDate();
+        }
         
         const timeOfDay = timeSystem.getTimeOfDay();
         const timeOfDayNames = {
@@ -1119,18 +2154,98 @@ class MapRenderer {
         if (!window.timeSystem) return;
         
         const speeds = [1, 2, 5, 10, 30, 60];
-        const currentSpeed = window.timeSystem.getTimeScale();
+        const currentSpeed = window.timeSystem.getSpeed();
         const currentIndex = speeds.findIndex(s => s >= currentSpeed);
         const nextIndex = currentIndex >= 0 && currentIndex < speeds.length - 1 ? currentIndex + 1 : 0;
         const nextSpeed = speeds[nextIndex];
         
-        window.timeSystem.setTimeScale(nextSpeed);
+        window.timeSystem.setSpeed(nextSpeed);
         const button = document.getElementById('speed-time');
         if (button) {
             button.textContent = `Speed: ${nextSpeed}x`;
         }
     }
 
+    applySeed() {
+        const seed = parseInt(document.getElementById('sim-seed').value);
+        if (isNaN(seed)) {
+            alert('Please enter a numeric seed');
+            return;
+        }
+        
+        SeededRandom.getShared().setSeed(seed);
+        this.simulation.reset();
+        
+        if (window.activityLogger) {
+            window.activityLogger.log(`Random seed set to ${seed}`, 'info', { seed });
+        }
+    }
+
+    updateSeedDisplay() {
+        const seedInput = document.getElementById('sim-seed');
+        if (seedInput) {
+            seedInput.value = SeededRandom.getShared().getSeed();
+        }
+    }
+
+    updateNeedDefinitionsList() {
+        const list = document.getElementById('need-definitions-list');
+        if (!list || !window.needsSystem) return;
+        
+        let html = '';
+        for (const [needType, config] of Object.entries(window.needsSystem.needTypes)) {
+            html += `<div style="display: flex; justify-content: space-between;">`;
+            html += `<span style="color: ${config.color};">${config.icon} ${config.name}</span>`;
+            html += `<span style="color: #888;">${needType}</span>`;
+            html += `</div>`;
+        }
+        list.innerHTML = html;
+    }
+
+    saveNeedDefinitions() {
+        const json = JSON.stringify({ needs: window.needsSystem.serializeDefinitions() }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'needs.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    loadNeedDefinitions() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        const definitions = JSON.parse(event.target.result);
+                        if (!window.needsSystem.loadDefinitions(definitions)) {
+                            alert('Needs file contains no need definitions');
+                            return;
+                        }
+                        
+                        // NPCs pick up added/removed needs on their next update
+                        this.updateNeedDefinitionsList();
+                        if (window.activityLogger) {
+                            const count = Object.keys(window.needsSystem.needTypes).length;
+                            window.activityLogger.log(`Loaded ${count} need definitions`, 'info');
+                        }
+                    } catch (error) {
+                        console.error('Error loading needs:', error);
+                        alert('Failed to load needs file');
+                    }
+                };
+                reader.readAsText(file);
+            }
+        };
+        input.click();
+    }
+
     updateActivityConsole() {
         if (!window.activityLogger) return;
         
@@ -1170,17 +2285,8 @@ class MapRenderer {
     }
 
     saveMap() {
-        const mapData = {
-            width: this.mapWidth,
-            height: this.mapHeight,
-            tileSize: this.tileSize,
-            map: this.map,
-            player: this.player ? {
-                tileX: this.player.tileX,
-                tileY: this.player.tileY
-            } : null,
-            entities: this.entityManager.serialize()
-        };
+        const mapData = this.world.serializeMapData();
+        mapData.tileSize = this.tileSize; // The player is saved with the entities
 
         const json = JSON.stringify(mapData, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
@@ -1203,39 +2309,31 @@ class MapRenderer {
                 reader.onload = (event) => {
                     try {
                         const mapData = JSON.parse(event.target.result);
-                        this.mapWidth = mapData.width;
-                        this.mapHeight = mapData.height;
+                        this.world.loadMapData(mapData);
                         this.tileSize = mapData.tileSize || 32;
-                        this.map = mapData.map;
+                        this.updateSeedDisplay();
+                        this.updateNeedDefinitionsList();
+                        document.getElementById('world-autonomy').value = this.world.autonomy;
                         
-                        // Restore player position if saved
-                        if (mapData.player && mapData.player.tileX !== undefined) {
+                        // Restore the player (older maps saved it next to the entities)
+                        const savedPlayer = this.entityManager.get('player');
+                        if (savedPlayer) {
+                            this.player = savedPlayer;
+                        } else if (this.player || (mapData.player && mapData.player.tileX !== undefined)) {
                             if (!this.player) {
                                 this.player = new Character();
                             }
-                            this.player.setPosition(mapData.player.tileX, mapData.player.tileY);
+                            if (mapData.player) {
+                                this.player.deserialize(mapData.player);
+                            }
+                            this.player.usingItem = null;
+                            this.entityManager.add(this.player);
                         }
-                        
-                        // Restore entities
-                        if (mapData.entities && Array.isArray(mapData.entities)) {
-                            this.entityManager.deserialize(mapData.entities, (data) => {
-                                let entity;
-                                if (data.type === 'npc') {
-                                    entity = new NPC(data.tileX || 0, data.tileY || 0, data.name || 'NPC');
-                                } else if (data.type === 'functional') {
-                                    // Restore functional item
-                                    if (data.itemDef) {
-                                        entity = new FunctionalItem(data.tileX || 0, data.tileY || 0, data.name || 'Item', data.itemDef);
-                                    } else {
-                                        entity = new Item(data.tileX || 0, data.tileY || 0, data.name || 'Item');
-                                    }
-                                } else if (data.type === 'item') {
-                                    entity = new Item(data.tileX || 0, data.tileY || 0, data.name || 'Item');
-                                } else {
-                                    entity = new Entity(data.tileX || 0, data.tileY || 0, data.type || 'entity');
-                                }
-                                return entity;
-                            });
+                        if (this.player) {
+                            document.getElementById('player-needs').checked = this.player.needsEnabled;
+                            if (!this.inputHandler) {
+                                this.inputHandler = new InputHandler();
+                            }
                         }
                         
                         this.updateEntityCount();
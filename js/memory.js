@@ -0,0 +1,132 @@
+/**
+ * Memory - Notable events an NPC remembers, and passes on as gossip
+ *
+ * Each memory is about one subject (an NPC) and carries a sentiment: how the event makes
+ * whoever remembers it feel about the subject. Memories fade over game time; ones heard
+ * as gossip start weaker than first-hand ones.
+ */
+class Memory {
+    constructor(capacity = 20) {
+        this.capacity = capacity;
+        this.entries = []; // [{event, subjectId, subjectName, description, sentiment, strength, time, sourceName}]
+        this.fadeRate = 5; // Strength lost per game hour
+    }
+
+    /**
+     * Remember an event (refreshes an existing memory of the same event about the same subject)
+     * @param {string} event - e.g. 'helped', 'insulted', 'starving'
+     * @param {Entity} subject - Who it is about
+     * @param {string} description - e.g. 'Cara insulted Alice'
+     * @param {number} sentiment - -1 (bad) to 1 (good), how it reflects on the subject
+     * @param {number} strength - 0-100
+     * @param {string|null} sourceName - Who told us, null if first-hand
+     * @returns {Object} The memory
+     */
+    add(event, subject, description, sentiment, strength, sourceName = null) {
+        const existing = this.find(event, subject.id);
+        if (existing) {
+            existing.strength = Math.min(100, Math.max(existing.strength, strength));
+            existing.time = TimeSystem.getGameTime();
+            if (!sourceName) existing.sourceName = null; // Seeing it ourselves beats hearsay
+            return existing;
+        }
+
+        const memory = {
+            event,
+            subjectId: subject.id,
+            subjectName: subject.name,
+            description,
+            sentiment,
+            strength: Math.min(100, strength),
+            time: TimeSystem.getGameTime(),
+            sourceName
+        };
+        this.entries.push(memory);
+
+        // Forget the weakest memory when full
+        if (this.entries.length > this.capacity) {
+            this.entries.sort((a, b) => b.strength - a.strength);
+            this.entries.pop();
+        }
+        return memory;
+    }
+
+    /**
+     * Find a memory of an event about a subject
+     * @param {string} event
+     * @param {string} subjectId
+     * @returns {Object|null}
+     */
+    find(event, subjectId) {
+        return this.entries.find(memory => memory.event === event && memory.subjectId === subjectId) || null;
+    }
+
+    /**
+     * Fade memories, forgetting those that are gone
+     * @param {number} gameMinutes - Game time passed
+     */
+    fade(gameMinutes) {
+        const loss = this.fadeRate * gameMinutes / 60;
+        for (const memory of this.entries) {
+            memory.strength -= loss;
+        }
+        this.entries = this.entries.filter(memory => memory.strength > 0);
+    }
+
+    /**
+     * Get the strongest memories
+     * @param {number} count
+     * @returns {Array<Object>}
+     */
+    getStrongest(count) {
+        return this.entries.slice().sort((a, b) => b.strength - a.strength).slice(0, count);
+    }
+
+    /**
+     * Pick the juiciest memory to tell someone: the strongest one about a third party
+     * @param {string} selfId - Who is telling
+     * @param {Memory} listenerMemory - What the listener already remembers
+     * @param {string} listenerId
+     * @param {number} minStrength - Weaker memories are not worth telling
+     * @returns {Object|null}
+     */
+    pickGossip(selfId, listenerMemory, listenerId, minStrength) {
+        let best = null;
+        for (const memory of this.entries) {
+            if (memory.strength < minStrength) continue;
+            if (memory.subjectId === selfId || memory.subjectId === listenerId) continue;
+
+            if (listenerMemory.find(memory.event, memory.subjectId)) continue; // Old news
+
+            if (!best || memory.strength > best.strength) {
+                best = memory;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Serialize memory data
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            capacity: this.capacity,
+            entries: this.entries.map(memory => Object.assign({}, memory))
+        };
+    }
+
+    /**
+     * Deserialize memory data
+     * @param {Object} data
+     */
+    deserialize(data) {
+        if (!data) return;
+        this.capacity = data.capacity || this.capacity;
+        // Maps saved without the clock can hold times ahead of it; treat those as just now
+        const now = TimeSystem.getGameTime();
+        this.entries = Array.isArray(data.entries)
+            ? data.entries.map(memory => Object.assign({}, memory, { time: Math.min(memory.time || 0, now) }))
+            : [];
+    }
+}
@@ -2,47 +2,216 @@
  * Needs System - Manages NPC needs and their satisfaction
  */
 class NeedsSystem {
-    constructor() {
-        // Need types and their properties
-        this.needTypes = {
+    constructor(definitions = null) {
+        // Need types and their properties (see NeedsSystem.getDefaultDefinitions for the schema)
+        this.needTypes = {};
+        this.version = 0; // Bumped whenever definitions change so needs get resynced
+        this.syncedVersions = new WeakMap(); // Needs object -> version it was last synced to
+        this.loadDefinitions(definitions || NeedsSystem.getDefaultDefinitions());
+    }
+
+    /**
+     * Default need definitions
+     *
+     * decayModifiers are decay multipliers keyed by TimeSystem.getTimeOfDay()
+     * ('dawn', 'morning', 'noon', 'afternoon', 'evening', 'night'), with 'default' as the fallback.
+     * seasonModifiers and weekdayModifiers multiply on top, keyed by TimeSystem.getSeasons() and
+     * TimeSystem.getWeekdays() (missing keys leave the rate alone).
+     * verbs are used by the activity log: "{name} is {seeking}" and "{name} {satisfied} {item}".
+     * preference is the TimeSystem.getActivityPreferences() flag that makes the AI favour the need
+     * when set and put it off when cleared (null for none).
+     * @returns {Object} Map of need key to definition
+     */
+    static getDefaultDefinitions() {
+        return {
             hunger: {
                 name: 'Hunger',
                 max: 100,
                 decayRate: 0.5, // Per second
                 color: '#ff6b6b',
-                icon: '🍔'
+                icon: '🍔',
+                criticalThreshold: 0.2,
+                verbs: { seeking: 'hungry', satisfied: 'ate' },
+                decayModifiers: { default: 1.0 },
+                preference: 'preferFood'
             },
             thirst: {
                 name: 'Thirst',
                 max: 100,
                 decayRate: 0.4,
                 color: '#4ecdc4',
-                icon: '💧'
+                icon: '💧',
+                criticalThreshold: 0.2,
+                verbs: { seeking: 'thirsty', satisfied: 'drank' },
+                decayModifiers: { default: 1.0 },
+                preference: 'preferFood'
             },
             sleep: {
                 name: 'Sleep',
                 max: 100,
                 decayRate: 0.3,
                 color: '#95e1d3',
-                icon: '😴'
+                icon: '😴',
+                criticalThreshold: 0.2,
+                verbs: { seeking: 'tired', satisfied: 'slept' },
+                decayModifiers: { night: 0.3, default: 1.5 }, // Much slower at night, faster during day
+                preference: 'preferSleep'
             },
             happiness: {
                 name: 'Happiness',
                 max: 100,
                 decayRate: 0.2,
                 color: '#fce38a',
-                icon: '😊'
+                icon: '😊',
+                criticalThreshold: 0.2,
+                verbs: { seeking: 'unhappy', satisfied: 'enjoyed' },
+                decayModifiers: { night: 0.7, default: 1.0 },
+                preference: 'preferEntertainment'
             },
             social: {
                 name: 'Social',
                 max: 100,
                 decayRate: 0.25,
                 color: '#aa96da',
-                icon: '👥'
+                icon: '👥',
+                criticalThreshold: 0.2,
+                verbs: { seeking: 'lonely', satisfied: 'socialized' },
+                decayModifiers: { night: 0.7, default: 1.0 }, // Less social activity at night
+                preference: 'preferSocial'
             }
         };
     }
 
+    /**
+     * Replace need definitions (e.g. from a loaded JSON file)
+     * @param {Object} definitions - Map of need key to definition, or {needs: {...}}
+     * @returns {boolean} Success
+     */
+    loadDefinitions(definitions) {
+        const source = definitions && definitions.needs ? definitions.needs : definitions;
+        if (!source || typeof source !== 'object' || Object.keys(source).length === 0) {
+            console.warn('Need definitions must contain at least one need');
+            return false;
+        }
+
+        const needTypes = {};
+        for (const [key, def] of Object.entries(source)) {
+            needTypes[key] = this.normalizeDefinition(key, def || {});
+        }
+        this.needTypes = needTypes;
+        this.version++;
+        return true;
+    }
+
+    /**
+     * Fill in missing fields of a need definition
+     * @param {string} key - Need key
+     * @param {Object} def - Partial definition
+     * @returns {Object} Complete definition
+     */
+    normalizeDefinition(key, def) {
+        return {
+            name: def.name || key.charAt(0).toUpperCase() + key.slice(1),
+            max: def.max > 0 ? def.max : 100,
+            decayRate: typeof def.decayRate === 'number' ? def.decayRate : 0.5,
+            color: def.color || '#b0b0b0',
+            icon: def.icon || '•',
+            criticalThreshold: typeof def.criticalThreshold === 'number' ? def.criticalThreshold : 0.2,
+            verbs: Object.assign({ seeking: `in need of ${key}`, satisfied: 'used' }, def.verbs),
+            decayModifiers: Object.assign({ default: 1.0 }, def.decayModifiers),
+            seasonModifiers: Object.assign({}, def.seasonModifiers),
+            weekdayModifiers: Object.assign({}, def.weekdayModifiers),
+            preference: def.preference !== undefined ? def.preference : NeedsSystem.getDefaultPreference(key)
+        };
+    }
+
+    /**
+     * Built-in preference of a core need, for definitions saved before needs had one
+     * @param {string} key - Need key
+     * @returns {string|null}
+     */
+    static getDefaultPreference(key) {
+        const def = NeedsSystem.getDefaultDefinitions()[key];
+        return def ? def.preference : null;
+    }
+
+    /**
+     * Serialize need definitions (saved with maps)
+     * @returns {Object}
+     */
+    serializeDefinitions() {
+        return JSON.parse(JSON.stringify(this.needTypes));
+    }
+
+    /**
+     * Get decay multiplier for a need at a time of day, season and weekday
+     * @param {string} needType - Type of need
+     * @param {string} timeOfDay - From TimeSystem.getTimeOfDay()
+     * @param {string|null} season - From TimeSystem.getSeason()
+     * @param {string|null} weekday - From TimeSystem.getWeekday()
+     * @returns {number}
+     */
+    getDecayModifier(needType, timeOfDay, season = null, weekday = null) {
+        const config = this.needTypes[needType];
+        if (!config) return 1.0;
+        
+        const modifiers = config.decayModifiers;
+        let modifier = modifiers[timeOfDay] !== undefined ? modifiers[timeOfDay] : modifiers.default;
+        if (season && config.seasonModifiers[season] !== undefined) {
+            modifier *= config.seasonModifiers[season];
+        }
+        if (weekday && config.weekdayModifiers[weekday] !== undefined) {
+            modifier *= config.weekdayModifiers[weekday];
+        }
+        return modifier;
+    }
+
+    /**
+     * Get the critical threshold of a need
+     * @param {string} needType - Type of need
+     * @returns {number} Fraction of max (0-1)
+     */
+    getCriticalThreshold(needType) {
+        const config = this.needTypes[needType];
+        return config ? config.criticalThreshold : 0.2;
+    }
+
+    /**
+     * Bring an NPC's needs in line with the current definitions
+     * New needs start full, removed needs are dropped, max values follow the definitions.
+     * @param {Object} needs - Needs object
+     * @returns {Object} The same needs object
+     */
+    syncNeeds(needs) {
+        for (const key of Object.keys(needs)) {
+            if (!this.needTypes[key]) {
+                delete needs[key];
+            }
+        }
+        for (const [key, config] of Object.entries(this.needTypes)) {
+            if (!needs[key]) {
+                needs[key] = { value: config.max, max: config.max, priority: 0 };
+            } else if (needs[key].max !== config.max) {
+                needs[key].value = Math.min(needs[key].value, config.max);
+                needs[key].max = config.max;
+            }
+        }
+        return needs;
+    }
+
+    /**
+     * Sync needs to the definitions if they changed since these needs were last synced
+     * @param {Object} needs - Needs object
+     * @returns {Object} The same needs object
+     */
+    refreshNeeds(needs) {
+        if (this.syncedVersions.get(needs) !== this.version) {
+            this.syncNeeds(needs);
+            this.syncedVersions.set(needs, this.version);
+        }
+        return needs;
+    }
+
     /**
      * Initialize needs for an NPC
      * @returns {Object} Needs object
@@ -60,21 +229,21 @@ class NeedsSystem {
     }
 
     /**
-     * Update needs (decay over time)
+     * Update needs (decay over time), first bringing them in line with changed definitions.
+     * Used for NPCs and the player alike.
      * @param {Object} needs - Needs object
      * @param {number} deltaTime - Time in seconds
+     * @param {TimeSystem|null} timeSystem - Applies its time of day, season and weekday decay modifiers
      */
-    updateNeeds(needs, deltaTime) {
+    updateNeeds(needs, deltaTime, timeSystem = null) {
+        this.refreshNeeds(needs);
+        
         for (const [key, need] of Object.entries(needs)) {
-            const config = this.needTypes[key];
-            if (config) {
-                // Decay the need
-                need.value = Math.max(0, need.value - (config.decayRate * deltaTime));
-                
-                // Calculate priority (lower value = higher priority)
-                const percentage = need.value / need.max;
-                need.priority = 1 - percentage; // 0 = full, 1 = empty
-            }
+            const modifier = timeSystem ? timeSystem.getNeedDecayModifier(key, this) : 1;
+            need.value = Math.max(0, need.value - this.needTypes[key].decayRate * modifier * deltaTime);
+            
+            // Calculate priority (lower value = higher priority)
+            need.priority = 1 - need.value / need.max; // 0 = full, 1 = empty
         }
     }
 
@@ -82,14 +251,14 @@ class NeedsSystem {
      * Satisfy a need
      * @param {Object} needs - Needs object
      * @param {string} needType - Type of need
-     * @param {number} amount - Amount to satisfy
+     * @param {number} amount - Amount to satisfy (negative lowers the need, e.g. an insult)
      */
     satisfyNeed(needs, needType, amount) {
         if (needs[needType]) {
-            needs[needType].value = Math.min(
+            needs[needType].value = Math.max(0, Math.min(
                 needs[needType].max,
                 needs[needType].value + amount
-            );
+            ));
         }
     }
 
@@ -125,13 +294,25 @@ class NeedsSystem {
     }
 
     /**
-     * Check if NPC is in critical state (any need below 20%)
+     * Check if a single need is below its critical threshold
+     * @param {Object} needs - Needs object
+     * @param {string} needType - Type of need
+     * @returns {boolean}
+     */
+    isNeedCritical(needs, needType) {
+        const need = needs[needType];
+        if (!need) return false;
+        return need.value / need.max < this.getCriticalThreshold(needType);
+    }
+
+    /**
+     * Check if NPC is in critical state (any need below its critical threshold)
      * @param {Object} needs - Needs object
      * @returns {boolean}
      */
     isCritical(needs) {
-        for (const [key, need] of Object.entries(needs)) {
-            if (need.value / need.max < 0.2) {
+        for (const key of Object.keys(needs)) {
+            if (this.isNeedCritical(needs, key)) {
                 return true;
             }
         }
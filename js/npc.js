@@ -14,33 +14,60 @@ class NPC extends Entity {
         
         // AI properties
         this.aiType = 'autonomous'; // 'autonomous', 'idle', 'patrol', 'wander'
-        this.patrolPath = [];
-        this.currentPatrolIndex = 0;
+        this.autonomy = null; // Free will of autonomous NPCs: 'full', 'needs' or 'off' (null follows the world)
+        this.needsRecoveryLevel = 0.6; // Needs-only autonomy tends a need that went critical until it is back to this fraction
+        this.recoveringNeeds = new Set(); // Needs that went critical and are not yet back to needsRecoveryLevel
+        this.patrolPath = []; // Waypoints [{x, y, wait}], wait in game minutes
+        this.patrolMode = 'pingpong'; // 'loop' (back to the first waypoint) or 'pingpong' (turn around at the ends)
+        this.currentPatrolIndex = 0; // Waypoint we are heading for or waiting at
         this.patrolDirection = 1;
+        this.patrolWaitStart = null; // When we started waiting at the current waypoint
+        this.schedule = []; // Daily blocks of our own (see js/schedule.js), replacing the template's
+        this.scheduleTemplate = null; // Schedule.getTemplates() key followed while we have no blocks of our own
         
         // Current goal
-        this.currentGoal = null; // {type: 'satisfy_need', needType: 'hunger', target: entity}
+        this.plan = null; // {name, needType, steps, index} - from GoalPlanner
+        this.currentGoal = null; // Plan step being carried out {type, target, choice, needType, label}
         this.targetItem = null; // Item entity to use
         this.usingItem = false; // Currently using an item
-        this.useStartTime = 0;
+        this.useGains = {}; // Need points gained from the current item so far
+        this.waitingFor = null; // {item, needType} - queued for an item that is full
+        this.inventory = new Inventory(4); // The last item added is held in hand
+        this.lastMade = null; // Item we last produced (what a plan's pending steps go to)
+        this.helper = null; // NPC on its way to help us
+        this.commandQueue = []; // Orders from the player, run ahead of autonomy
+        this.currentCommand = null; // Order being carried out
+        this.maxCommands = 6;
+        this.memory = new Memory(20); // Notable events, passed on as gossip
+        this.gossipMinStrength = 20; // Weaker memories are not worth telling
         
         // Movement
-        this.moveSpeed = 0.8;
+        this.moveSpeed = 48; // Pixels per second of simulation time
         this.isMoving = false;
         this.targetTileX = this.tileX;
         this.targetTileY = this.tileY;
         this.targetPixelX = this.pixelX;
         this.targetPixelY = this.pixelY;
         
+        // Pathfinding
+        this.path = []; // Remaining steps [{x, y}] to the current destination
+        this.pathGoal = null; // {x, y, adjacent} - destination used when re-planning
+        this.replanAttempts = 0;
+        this.maxReplanAttempts = 3; // Give up after this many blocked re-plans
+        this.unreachableItems = new Map(); // Item id -> {failedAt, collisionVersion} of the last failed route to it
+        this.unreachableRetry = 10; // Game minutes before searching for a route to such an item again
+        this.socialTarget = null; // NPC we are walking over to talk to
+        this.actionCandidates = []; // Top-scored actions of the last decision (ActionScorer)
+        
         // Animation
         this.direction = 0;
         this.animationFrame = 0;
-        this.lastAnimationTime = 0;
+        this.animationTimer = 0; // Simulation ms since last frame change
         this.animationSpeed = 150;
         
         // Dialogue
-        this.dialogue = ['Hello!', 'How can I help you?'];
-        this.dialogueIndex = 0;
+        this.dialogueTree = DialogueTree.createDefault(); // See js/dialogue.js for the format
+        this.inDialogue = false; // Talking to the player (AI waits)
         
         // Sprite (default to character sprite)
         this.sprite = {
@@ -49,22 +76,40 @@ class NPC extends Entity {
             tileY: 0
         };
         
-        // AI timing
-        this.lastAITime = 0;
+        // AI timing (simulation milliseconds, driven by TimeSystem)
+        this.aiTimer = 0;
         this.aiInterval = 1000; // Faster AI decisions for needs
-        this.lastNeedUpdate = 0;
+        this.needUpdateTimer = 0;
         this.needUpdateInterval = 100; // Update needs every 100ms
         
         // Relationships
         this.relationships = new Map(); // Map<entityId, relationshipData>
         this.interactionHistory = []; // Array of recent interactions
+        this.relationshipDecayDelay = 4 * 60; // Game minutes without contact before a relationship fades
+        this.relationshipDecayRate = 1; // Points per game hour, towards Neutral
         
         // Personality (affects behavior)
+        const rng = SeededRandom.getShared();
         this.personality = {
-            social: Math.random(), // 0-1, how social
-            helpful: Math.random(), // 0-1, how helpful
-            active: Math.random()  // 0-1, how active
+            social: rng.next(), // 0-1, how social
+            helpful: rng.next(), // 0-1, how helpful
+            active: rng.next()  // 0-1, how active
         };
+        
+        // Romance (age and orientation decide who can court whom)
+        this.age = rng.int(18, 70);
+        this.gender = rng.pick(NPC.getGenders());
+        this.attractedTo = NPC.getGenders().filter(() => rng.chance(0.5)); // Genders we can fall for (may be none)
+        this.romanceMinAge = 18; // Neither side may be younger
+        this.romanceMaxAgeGap = 15; // Years
+    }
+
+    /**
+     * Get the genders NPCs can have
+     * @returns {Array<string>}
+     */
+    static getGenders() {
+        return ['female', 'male', 'nonbinary'];
     }
 
     /**
@@ -95,44 +140,41 @@ class NPC extends Entity {
 
         if (!this.needs || !this.needsSystem) return; // Still not initialized
 
+        // Pick up added or removed need types
+        this.needsSystem.refreshNeeds(this.needs);
+
+        // deltaTime is simulation time from TimeSystem: 0 while paused, scaled by the speed setting
         const deltaSeconds = deltaTime / 1000; // Convert to seconds
 
         // Update needs with time-based modifiers
-        const currentTime = Date.now();
-        if (currentTime - this.lastNeedUpdate > this.needUpdateInterval) {
-            // Apply time-based decay modifiers
+        this.needUpdateTimer += deltaTime;
+        if (this.needUpdateTimer >= this.needUpdateInterval) {
+            const timeDelta = this.needUpdateTimer / 1000; // seconds
+            
+            // Decay with time-based modifiers
             const timeSystem = window.timeSystem;
-            if (timeSystem && this.needsSystem) {
-                // Calculate time delta since last update
-                const timeDelta = (currentTime - this.lastNeedUpdate) / 1000; // seconds
-                
-                for (const [needType, need] of Object.entries(this.needs)) {
-                    const modifier = timeSystem.getNeedDecayModifier(needType);
-                    const baseDecay = this.needsSystem.needTypes[needType]?.decayRate || 0.5;
-                    const adjustedDecay = baseDecay * modifier;
-                    
-                    // Decay the need
-                    need.value = Math.max(0, need.value - (adjustedDecay * timeDelta));
-                    
-                    // Recalculate priority
-                    const percentage = need.value / need.max;
-                    need.priority = 1 - percentage;
-                }
-            } else {
-                // Fallback to normal update
-                if (this.needsSystem) {
-                    this.needsSystem.updateNeeds(this.needs, deltaSeconds);
-                }
+            this.needsSystem.updateNeeds(this.needs, timeDelta, timeSystem || null);
+            this.decayRelationships(this.needUpdateTimer);
+            if (timeSystem) {
+                this.memory.fade(timeSystem.toGameMinutes(this.needUpdateTimer));
             }
-            this.lastNeedUpdate = currentTime;
+            this.showIfStarving();
+            this.needUpdateTimer = 0;
         }
 
-        // Update item usage
+        // Update item usage, satisfying needs as we go
         if (this.usingItem && this.targetItem) {
-            const useDelta = (currentTime - this.useStartTime) / 1000; // seconds
-            if (this.targetItem.updateUse(useDelta)) {
-                // Item usage complete
-                this.completeItemUse();
+            const item = this.targetItem;
+            this.applyItemUseGains(item, Math.min(deltaSeconds, item.getUseDuration(this.id) - item.getUseTime(this.id)));
+            if (item.updateUse(deltaSeconds, this.id)) {
+                if (this.isFollowingSchedule() && item.startUse(this.id, this.tileX, this.tileY, this.currentGoal.choice)) {
+                    // Scheduled activities go on until their block ends
+                } else {
+                    // Item usage complete
+                    this.completeItemUse();
+                }
+            } else if (this.isFullFromItem(item) && !this.isFollowingSchedule()) {
+                this.stopUsingItem('full');
             }
         }
 
@@ -141,8 +183,9 @@ class NPC extends Entity {
             const dx = this.targetPixelX - this.pixelX;
             const dy = this.targetPixelY - this.pixelY;
             const distance = Math.sqrt(dx * dx + dy * dy);
+            const step = this.moveSpeed * deltaSeconds;
             
-            if (distance < this.moveSpeed) {
+            if (distance <= step) {
                 this.pixelX = this.targetPixelX;
                 this.pixelY = this.targetPixelY;
                 this.tileX = Math.floor(this.pixelX / 32);
@@ -150,13 +193,15 @@ class NPC extends Entity {
                 this.isMoving = false;
                 this.animationFrame = 0;
                 
-                // Check if we reached target item
-                if (this.targetItem && this.isAtPosition(this.targetItem.tileX, this.targetItem.tileY)) {
-                    this.startUsingItem(this.targetItem);
+                // Take the next step, or act on arrival
+                if (this.path.length > 0) {
+                    this.advancePath();
+                } else {
+                    this.onPathComplete();
                 }
             } else {
-                const moveX = (dx / distance) * this.moveSpeed;
-                const moveY = (dy / distance) * this.moveSpeed;
+                const moveX = (dx / distance) * step;
+                const moveY = (dy / distance) * step;
                 this.pixelX += moveX;
                 this.pixelY += moveY;
             }
@@ -164,385 +209,1513 @@ class NPC extends Entity {
 
         // Update animation
         if (this.isMoving && !this.usingItem) {
-            if (currentTime - this.lastAnimationTime > this.animationSpeed) {
+            this.animationTimer += deltaTime;
+            if (this.animationTimer > this.animationSpeed) {
                 this.animationFrame = (this.animationFrame + 1) % 4;
-                this.lastAnimationTime = currentTime;
+                this.animationTimer = 0;
             }
         } else if (!this.usingItem) {
             this.animationFrame = 0;
         }
 
         // AI decision making (autonomous behavior)
-        if (currentTime - this.lastAITime > this.aiInterval && !this.isMoving && !this.usingItem) {
-            if (this.aiType === 'autonomous') {
+        this.aiTimer += deltaTime;
+        if (this.aiTimer > this.aiInterval && this.usingItem && this.aiType === 'autonomous' && !this.currentCommand) {
+            // Drop what we are doing if our schedule block ended or another need became critical
+            this.aiTimer = 0;
+            if (!this.checkScheduleEnd()) {
+                this.checkPreemption();
+            }
+        }
+        if (this.aiTimer > this.aiInterval && !this.isMoving && !this.usingItem && this.path.length === 0 && !this.inDialogue) {
+            if (this.waitingFor) {
+                this.checkWaiting();
+            } else if (this.runNextCommand()) {
+                // Orders come before our own decisions
+            } else if (this.aiType === 'autonomous' && this.followSchedule()) {
+                // Override blocks of our schedule come before free will
+            } else if (this.aiType === 'autonomous') {
                 this.makeAutonomousDecision();
             } else {
                 this.makeAIDecision();
             }
-            this.lastAITime = currentTime;
+            this.aiTimer = 0;
         }
     }
 
     /**
-     * Make autonomous decision based on needs
+     * Make autonomous decision by scoring every available action
      */
     makeAutonomousDecision() {
-        // Check if we can help other NPCs first (cooperation)
-        if (this.tryHelpOthers()) {
-            return;
-        }
+        const candidates = this.scoreAllowedActions();
+        this.actionCandidates = candidates.slice(0, ActionScorer.getShared().candidateCount);
+        this.performAction(candidates[0]);
+    }
+
+    /**
+     * Get the autonomy levels, most free will first
+     * @returns {Array<string>}
+     */
+    static getAutonomyLevels() {
+        return ['full', 'needs', 'off'];
+    }
+
+    /**
+     * Get our autonomy level (our own, else the world's)
+     * @returns {string} 'full', 'needs' or 'off'
+     */
+    getAutonomy() {
+        if (this.autonomy) return this.autonomy;
+        return window.world && window.world.autonomy ? window.world.autonomy : 'full';
+    }
 
-        // Check most urgent need
-        const urgentNeed = this.needsSystem.getMostUrgentNeed(this.needs);
+    /**
+     * Score the actions our autonomy level lets us take on our own. Off leaves only orders;
+     * needs-only keeps the schedule and actions that deal with a need that went critical, until
+     * that need is back to needsRecoveryLevel (so one snack does not leave it hovering at the
+     * threshold). No socializing, helping or wandering.
+     * @returns {Array<Object>} Candidates from ActionScorer.scoreActions, best first
+     */
+    scoreAllowedActions() {
+        const autonomy = this.getAutonomy();
+        if (autonomy === 'off') return [];
         
-        if (urgentNeed) {
-            // Try to find an item that satisfies this need
-            const item = this.findItemForNeed(urgentNeed);
-            if (item) {
-                this.goToItem(item, urgentNeed);
-            } else {
-                // No item found, wander or try to help others
-                this.wander();
-            }
-        } else {
-            // All needs satisfied, socialize or wander
-            if (Math.random() < 0.3) {
-                this.trySocialize();
-            } else {
-                this.wander();
+        const candidates = ActionScorer.getShared().scoreActions(this);
+        if (autonomy !== 'needs') return candidates;
+        
+        this.updateRecoveringNeeds();
+        return candidates.filter(candidate => candidate.type === 'schedule' ||
+            (candidate.type !== 'socialize' && candidate.type !== 'help' && !!candidate.needType &&
+            this.recoveringNeeds.has(candidate.needType)));
+    }
+
+    /**
+     * Track needs that went critical until they are back to needsRecoveryLevel
+     */
+    updateRecoveringNeeds() {
+        for (const needType of Object.keys(this.needs)) {
+            if (this.needsSystem.isNeedCritical(this.needs, needType)) {
+                this.recoveringNeeds.add(needType);
+            } else if (this.needsSystem.getNeedPercentage(this.needs, needType) >= this.needsRecoveryLevel * 100) {
+                this.recoveringNeeds.delete(needType);
             }
         }
+        for (const needType of this.recoveringNeeds) {
+            if (!this.needs[needType]) this.recoveringNeeds.delete(needType); // Removed need type
+        }
     }
 
     /**
-     * Try to help other NPCs in the same area
-     * @returns {boolean} True if helping
+     * Carry out a scored action
+     * @param {Object} action - Candidate from ActionScorer.scoreActions
      */
-    tryHelpOthers() {
-        // Find nearby NPCs
-        const nearbyNPCs = this.findNearbyNPCs(3); // 3 tile radius
+    performAction(action) {
+        if (!action) return;
         
-        for (const npc of nearbyNPCs) {
-            if (npc.id === this.id) continue;
-            
-            const urgentNeed = this.needsSystem.getMostUrgentNeed(npc.needs);
-            if (urgentNeed && this.needsSystem.isCritical(npc.needs)) {
-                // Find item for them
-                const item = this.findItemForNeed(urgentNeed);
-                if (item && item.isAvailable()) {
-                    // Log helping action
-                    if (window.activityLogger) {
-                        window.activityLogger.logNPCAction(
-                            this, 
-                            'is helping', 
-                            `${npc.name} find ${item.name}`
-                        );
-                    }
-                    // Help by going to item and "pointing" it out (simplified)
-                    this.goToItem(item, urgentNeed);
-                    return true;
-                }
-            }
+        switch (action.type) {
+            case 'use_item':
+                this.goToItem(action.target, action.needType, action.choice);
+                break;
+            case 'socialize':
+                this.interactWithNPC(action.target);
+                break;
+            case 'help':
+                this.helpNPC(action.other, action.plan);
+                break;
+            case 'wait':
+                this.waitForItem(action.target, action.needType);
+                break;
+            case 'plan':
+                this.startPlan(action.plan);
+                break;
+            case 'use_held':
+                this.useFromInventory(action.index, action.needType);
+                break;
+            case 'schedule':
+                this.startScheduledActivity(action.block, action.target);
+                break;
+            case 'wander':
+                this.wander();
+                break;
+            case 'idle':
+            default:
+                // Stay put until the next decision
+                break;
         }
-        return false;
     }
 
     /**
-     * Find nearby NPCs
-     * @param {number} radius - Tile radius
-     * @returns {Array<NPC>}
+     * Get the schedule blocks we follow: our own, else our template's
+     * @returns {Array<Object>}
      */
-    findNearbyNPCs(radius) {
-        // This will be called from entity manager context
-        if (!window.mapRenderer || !window.mapRenderer.entityManager) {
-            return [];
-        }
+    getScheduleBlocks() {
+        if (this.schedule.length > 0) return this.schedule;
         
-        const allNPCs = window.mapRenderer.entityManager.getByType('npc');
-        return allNPCs.filter(npc => {
-            const distance = this.getDistance(npc);
-            return distance <= radius && npc.id !== this.id;
-        });
+        const template = this.scheduleTemplate ? Schedule.getTemplates()[this.scheduleTemplate] : null;
+        return template ? template.blocks : [];
     }
 
     /**
-     * Find an item that satisfies a need
-     * @param {string} needType - Type of need
+     * Get the schedule block for the current time and date
+     * @returns {Object|null}
+     */
+    getScheduleBlock() {
+        const timeSystem = window.timeSystem;
+        if (!timeSystem) return null;
+        return Schedule.getActiveBlock(this.getScheduleBlocks(), timeSystem.currentTime,
+            timeSystem.getCalendar(), timeSystem.getCalendar(-1));
+    }
+
+    /**
+     * Find the item a schedule block takes place at (the nearest free one we can reach, for item types)
+     * @param {Object} block
      * @returns {FunctionalItem|null}
      */
-    findItemForNeed(needType) {
-        if (!window.mapRenderer || !window.mapRenderer.entityManager) {
-            return null;
-        }
+    findSchedulePlace(block) {
+        if (!block.place || !window.world) return null;
         
-        const allItems = window.mapRenderer.entityManager.getByType('functional');
-        let bestItem = null;
-        let bestDistance = Infinity;
+        const items = window.world.entityManager.getByType('functional')
+            .filter(item => item.active && (item.id === block.place || item.defKey === block.place) && item.isAvailable(this.id))
+            .sort((a, b) => this.getDistance(a) - this.getDistance(b));
+        return items.find(item => this.findPathToItem(item)) || null;
+    }
+
+    /**
+     * Follow an override block of our schedule, unless a need is critical (or autonomy is off)
+     * @returns {boolean} True if we set off
+     */
+    followSchedule() {
+        const block = this.getScheduleBlock();
+        if (!block || block.priority !== 'override' || this.getAutonomy() === 'off') return false;
+        if (this.needsSystem.isCritical(this.needs)) return false;
         
-        for (const item of allItems) {
-            if (item.canSatisfy(needType) && item.isAvailable()) {
-                const distance = this.getDistance(item);
-                if (distance < bestDistance) {
-                    bestDistance = distance;
-                    bestItem = item;
-                }
-            }
-        }
+        const item = this.findSchedulePlace(block);
+        if (!item) return false;
         
-        return bestItem;
+        this.startScheduledActivity(block, item);
+        return this.plan !== null;
     }
 
     /**
-     * Go to an item to use it
+     * Go to the item a schedule block takes place at and stay on it until the block ends
+     * @param {Object} block
      * @param {FunctionalItem} item
-     * @param {string} needType
      */
-    goToItem(item, needType) {
-        if (!item || !this.canMoveTo(item.tileX, item.tileY)) {
-            return; // Can't reach item
+    startScheduledActivity(block, item) {
+        const plan = GoalPlanner.getShared().planSchedule(this, item, block);
+        this.startPlan(plan);
+        if (this.plan === plan && window.activityLogger) {
+            window.activityLogger.logSchedule(this, block, item);
         }
+    }
+
+    /**
+     * Check if we are carrying out the schedule block for the current time
+     * @returns {boolean}
+     */
+    isFollowingSchedule() {
+        return !!this.plan && !!this.plan.schedule && this.aiType === 'autonomous' &&
+            Schedule.isSameBlock(this.plan.schedule, this.getScheduleBlock());
+    }
+
+    /**
+     * Leave a scheduled activity once its block is over
+     * @returns {boolean} True if we stopped using the item
+     */
+    checkScheduleEnd() {
+        const block = this.plan ? this.plan.schedule : null;
+        if (!block || !this.usingItem || this.isFollowingSchedule()) return false;
         
-        this.currentGoal = {
-            type: 'satisfy_need',
-            needType: needType,
-            target: item
-        };
-        this.targetItem = item;
+        this.stopUsingItem(`${block.activity.toLowerCase()} is over`);
+        return true;
+    }
+
+    /**
+     * Get the orders that can be given to us about an entity
+     * @param {Entity} target - Functional item or another NPC
+     * @returns {Array<Object>} Commands {type: 'use'|'interact', target, needType, choice, interaction, label}
+     */
+    getCommandOptions(target) {
+        if (!target || target === this) return [];
         
-        // Log to activity console
-        if (window.activityLogger) {
-            window.activityLogger.logSeekingItem(this, needType, item.name);
+        if (target.type === 'npc') {
+            const types = NPC.getInteractionTypes();
+            const weights = this.getInteractionWeights(target);
+            return Object.keys(weights)
+                .filter(key => !types[key].romance || weights[key] > 0) // Romance only where it fits
+                .map(key => ({ type: 'interact', target, interaction: key, label: `${types[key].command} ${target.name}` }));
         }
         
-        this.moveTo(item.tileX, item.tileY);
+        if (target.type !== 'functional') return [];
+        
+        const recipe = target.getRecipe();
+        if (recipe && this.inventory.getHeldKey() !== recipe.input) return []; // Nothing to cook with
+        
+        return target.getUseOptions().map(option => {
+            const needType = Object.keys(option.satisfies)
+                .sort((a, b) => option.satisfies[b] - option.satisfies[a])[0] || null;
+            const verb = target.getYield(option.choice) ? 'Take' : 'Use';
+            return { type: 'use', target, needType, choice: option.choice, label: `${verb} ${option.name}` };
+        });
     }
 
     /**
-     * Start using an item
-     * @param {FunctionalItem} item
+     * Queue an order; the first one interrupts whatever we were doing on our own
+     * @param {Object} command - From getCommandOptions
+     * @returns {boolean} False if the queue is full
      */
-    startUsingItem(item) {
-        if (item.startUse(this.id)) {
-            this.usingItem = true;
-            this.useStartTime = Date.now();
-            this.isMoving = false;
+    queueCommand(command) {
+        if (this.commandQueue.length >= this.maxCommands) return false;
+        
+        this.commandQueue.push(command);
+        if (!this.currentCommand && !this.inDialogue) {
+            this.dropCurrentAction('was given an order');
         }
+        return true;
     }
 
     /**
-     * Complete using an item
+     * Cancel a queued order
+     * @param {number} index - Into commandQueue
      */
-    completeItemUse() {
-        if (this.targetItem && this.currentGoal) {
-            // Satisfy the need
-            const amount = this.targetItem.getSatisfactionAmount(this.currentGoal.needType);
-            this.needsSystem.satisfyNeed(this.needs, this.currentGoal.needType, amount);
-            
-            // Log to activity console
-            if (window.activityLogger) {
-                window.activityLogger.logNeedSatisfaction(
-                    this, 
-                    this.currentGoal.needType, 
-                    this.targetItem.name
-                );
-            }
-            
-            // Also satisfy other needs the item provides
-            for (const [needType, needAmount] of Object.entries(this.targetItem.itemDef.satisfies)) {
-                if (needType !== this.currentGoal.needType) {
-                    this.needsSystem.satisfyNeed(this.needs, needType, needAmount);
-                }
-            }
-        }
+    cancelCommand(index) {
+        this.commandQueue.splice(index, 1);
+    }
+
+    /**
+     * Cancel the order being carried out (the next one starts right away)
+     */
+    cancelCurrentCommand() {
+        if (!this.currentCommand) return;
         
-        this.usingItem = false;
-        this.targetItem = null;
-        this.currentGoal = null;
-        this.useStartTime = 0;
+        this.currentCommand = null;
+        this.dropCurrentAction('order cancelled');
     }
 
     /**
-     * Try to socialize with nearby NPCs
+     * Stop using an item or following a plan, and decide again right away
+     * @param {string} reason - For the log if we were using an item
      */
-    trySocialize() {
-        const nearbyNPCs = this.findNearbyNPCs(2);
-        if (nearbyNPCs.length > 0) {
-            // Choose a random nearby NPC to interact with
-            const target = nearbyNPCs[Math.floor(Math.random() * nearbyNPCs.length)];
-            this.interactWithNPC(target);
-        } else {
-            this.wander();
+    dropCurrentAction(reason) {
+        if (this.usingItem) {
+            this.stopUsingItem(reason);
+            return;
         }
+        this.failPlan();
+        this.aiTimer = this.aiInterval;
     }
 
     /**
-     * Interact with another NPC
-     * @param {NPC} otherNPC
+     * Start the next queued order
+     * @returns {boolean} False if there are no orders left
      */
-    interactWithNPC(otherNPC) {
-        if (!otherNPC || otherNPC.id === this.id) return;
+    runNextCommand() {
+        this.currentCommand = null;
         
-        // Move towards the other NPC if not adjacent
-        const distance = this.getDistance(otherNPC);
-        if (distance > 1) {
-            // Move closer
-            const dx = otherNPC.tileX - this.tileX;
-            const dy = otherNPC.tileY - this.tileY;
+        while (this.commandQueue.length > 0) {
+            const command = this.commandQueue.shift();
+            const target = command.target;
+            if (!target.active || target.markedForRemoval) continue; // Gone since it was ordered
             
-            // Move one step closer
-            let newX = this.tileX;
-            let newY = this.tileY;
+            this.currentCommand = command;
+            if (window.activityLogger) {
+                window.activityLogger.logCommand(this, command);
+            }
             
-            if (Math.abs(dx) > Math.abs(dy)) {
-                newX += dx > 0 ? 1 : -1;
+            if (command.type === 'interact') {
+                this.startPlan(GoalPlanner.getShared().planTalk(this, target, command.interaction));
+            } else if (target.isAvailable(this.id)) {
+                this.goToItem(target, command.needType, command.choice);
             } else {
-                newY += dy > 0 ? 1 : -1;
+                this.waitForItem(target, command.needType);
             }
-            
-            if (this.canMoveTo(newX, newY)) {
-                this.moveTo(newX, newY);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Help another NPC with a need
+     * @param {NPC} npc - NPC in need
+     * @param {Object} plan - From GoalPlanner.planHelp
+     */
+    helpNPC(npc, plan) {
+        // Hold the item we will show them, so it is still free when they get there
+        const guide = plan.steps.find(step => step.type === 'guide');
+        if (guide) {
+            const route = npc.findPathToItem(guide.item);
+            if (route) {
+                guide.item.reserve(npc.id, route.slot.index);
             }
-            return;
         }
         
-        // Adjacent - perform interaction
-        this.performInteraction(otherNPC);
+        npc.helper = this;
+        this.startPlan(plan);
     }
 
     /**
-     * Perform interaction with another NPC
-     * @param {NPC} otherNPC
+     * Send an NPC we came to help to an item
+     * @param {NPC} other
+     * @param {FunctionalItem} item
+     * @param {string} needType
+     * @returns {boolean} False if they could not set off for it
      */
-    performInteraction(otherNPC) {
-        // Update relationships
-        this.updateRelationship(otherNPC, 5); // Positive interaction
-        otherNPC.updateRelationship(this, 5);
-        
-        // Satisfy needs
-        const socialGain = 10 + (this.personality.social * 5);
-        const happinessGain = 5 + (this.personality.social * 3);
-        
-        this.needsSystem.satisfyNeed(this.needs, 'happiness', happinessGain);
-        this.needsSystem.satisfyNeed(this.needs, 'social', socialGain);
+    guideNPC(other, item, needType) {
+        if (other.usingItem) return false;
         
-        otherNPC.needsSystem.satisfyNeed(otherNPC.needs, 'happiness', happinessGain * 0.8);
-        otherNPC.needsSystem.satisfyNeed(otherNPC.needs, 'social', socialGain * 0.8);
+        other.goToItem(item, needType);
+        if (other.targetItem !== item) return false;
         
-        // Record interaction
-        this.recordInteraction(otherNPC, 'talk');
-        otherNPC.recordInteraction(this, 'talk');
+        this.rewardHelp(other, `showed ${other.name} the way to ${item.name}`);
+        return true;
+    }
+
+    /**
+     * Strengthen the bond after helping someone (both sides)
+     * @param {NPC} other - NPC we helped
+     * @param {string} description - For the log, e.g. 'brought Bob Pizza'
+     */
+    rewardHelp(other, description) {
+        this.updateRelationship(other, 5);
+        other.updateRelationship(this, 10); // Being helped in need counts for more
+        this.recordInteraction(other, 'help');
+        other.recordInteraction(this, 'helped');
+        other.memory.add('helped', this, `${this.name} helped ${other.name}`, 1, 60);
         
-        // Log to activity console
         if (window.activityLogger) {
-            window.activityLogger.logNPCInteraction(this, otherNPC, 'talked');
+            window.activityLogger.logHelp(this, other, description);
         }
+    }
+
+    /**
+     * Let NPCs around us see that we are starving (they remember it, and may tell others)
+     */
+    showIfStarving() {
+        const hunger = this.needs.hunger;
+        if (!hunger || hunger.value > hunger.max * 0.05) return;
         
-        console.log(`${this.name} talked with ${otherNPC.name}`);
+        for (const other of this.findNearbyNPCs(3)) {
+            other.memory.add('starving', this, `${this.name} was starving`, 0.2, 40); // Sympathy
+        }
     }
 
     /**
-     * Update relationship with another entity
-     * @param {Entity} other
-     * @param {number} change - Positive or negative change
+     * Find nearby NPCs
+     * @param {number} radius - Tile radius
+     * @returns {Array<NPC>}
      */
-    updateRelationship(other, change) {
-        if (!this.relationships.has(other.id)) {
-            this.relationships.set(other.id, {
-                value: 0,
-                interactions: 0,
-                lastInteraction: Date.now()
-            });
+    findNearbyNPCs(radius) {
+        if (!window.world || !window.world.entityManager) {
+            return [];
         }
         
-        const rel = this.relationships.get(other.id);
-        rel.value = Math.max(-100, Math.min(100, rel.value + change));
-        rel.interactions++;
-        rel.lastInteraction = Date.now();
+        const allNPCs = window.world.entityManager.getByType('npc');
+        return allNPCs.filter(npc => {
+            const distance = this.getDistance(npc);
+            return distance <= radius && npc.id !== this.id;
+        });
     }
 
     /**
-     * Get relationship value with another entity
-     * @param {Entity} other
-     * @returns {number} -100 to 100
+     * Find an item that satisfies a need
+     * @param {string} needType - Type of need
+     * @returns {FunctionalItem|null}
      */
-    getRelationship(other) {
-        if (!this.relationships.has(other.id)) {
-            return 0;
+    findItemForNeed(needType) {
+        if (!window.world || !window.world.entityManager) {
+            return null;
         }
-        return this.relationships.get(other.id).value;
+        
+        const candidates = window.world.entityManager.getByType('functional')
+            .filter(item => item.canSatisfy(needType) && item.isAvailable(this.id))
+            .sort((a, b) => this.getDistance(a) - this.getDistance(b));
+        
+        // Nearest item we can actually walk to
+        for (const item of candidates) {
+            if (this.findPathToItem(item)) {
+                return item;
+            }
+        }
+        
+        return null;
     }
 
     /**
-     * Record an interaction
-     * @param {Entity} other
-     * @param {string} type
+     * Find a path to the nearest free slot of an item.
+     * Items walled off from every free slot are skipped for unreachableRetry game minutes, or until
+     * tiles or blocking entities change, instead of being searched on every decision. Searches cut
+     * off by the pathfinder's iteration limit are not remembered, and orders always search.
+     * @param {FunctionalItem} item
+     * @returns {Object|null} {path, slot}, or null if no free slot can be reached
      */
-    recordInteraction(other, type) {
-        this.interactionHistory.push({
-            with: other.id,
-            name: other.name,
-            type: type,
-            time: Date.now()
-        });
+    findPathToItem(item) {
+        const ordered = !!this.currentCommand && this.currentCommand.target === item;
+        if (!ordered && this.isItemUnreachable(item)) return null;
         
-        // Keep only last 20 interactions
-        if (this.interactionHistory.length > 20) {
-            this.interactionHistory.shift();
+        let walledOff = true;
+        const slots = item.getFreeSlots(this.id).sort((a, b) =>
+            (Math.abs(a.x - this.tileX) + Math.abs(a.y - this.tileY)) -
+            (Math.abs(b.x - this.tileX) + Math.abs(b.y - this.tileY)));
+        
+        for (const slot of slots) {
+            const path = this.isAtPosition(slot.x, slot.y) ? [] : this.findPathTo(slot.x, slot.y);
+            if (path) {
+                this.unreachableItems.delete(item.id);
+                return { path, slot };
+            }
+            if (!window.world || !window.world.pathfinder.lastSearchExhausted) {
+                walledOff = false;
+            }
         }
+        if (slots.length > 0 && walledOff) {
+            this.unreachableItems.set(item.id, {
+                failedAt: this.getGameTime(),
+                collisionVersion: window.world.getCollisionVersion()
+            });
+        }
+        return null;
     }
 
     /**
-     * Get relationship status text
-     * @param {number} value
-     * @returns {string}
+     * Check if an item was walled off recently, with no tiles or blocking entities changed since
+     * @param {FunctionalItem} item
+     * @returns {boolean}
      */
-    getRelationshipStatus(value) {
-        if (value >= 80) return 'Best Friend';
-        if (value >= 50) return 'Friend';
-        if (value >= 20) return 'Acquaintance';
-        if (value >= -20) return 'Neutral';
-        if (value >= -50) return 'Unfriendly';
-        return 'Enemy';
+    isItemUnreachable(item) {
+        const failure = this.unreachableItems.get(item.id);
+        if (!failure) return false;
+        
+        const timeSystem = window.timeSystem;
+        const elapsed = this.getGameTime() - failure.failedAt;
+        if (timeSystem && elapsed >= 0 && timeSystem.toGameMinutes(elapsed) < this.unreachableRetry &&
+            window.world && window.world.getCollisionVersion() === failure.collisionVersion) {
+            return true;
+        }
+        this.unreachableItems.delete(item.id);
+        return false;
     }
 
     /**
-     * Make AI decision based on AI type (legacy method)
+     * Go to an item to use it
+     * @param {FunctionalItem} item
+     * @param {string} needType
+     * @param {string} choice - What to take from a container (defaults to the best for the need)
      */
-    makeAIDecision() {
-        switch (this.aiType) {
-            case 'patrol':
-                this.patrol();
-                break;
-            case 'wander':
-                this.wander();
-                break;
-            case 'idle':
-            default:
-                // Do nothing
-                break;
+    goToItem(item, needType, choice = null) {
+        if (!item) return;
+        
+        if (item.contents && !choice) {
+            choice = item.chooseContentFor(needType);
         }
+        this.startPlan(GoalPlanner.getShared().planUse(this, item, needType, choice));
     }
 
     /**
-     * Patrol along a path
+     * Drop whatever we are doing and start a plan
+     * @param {Object} plan - From GoalPlanner
      */
-    patrol() {
-        if (this.patrolPath.length === 0) return;
+    startPlan(plan) {
+        if (!plan || plan.steps.length === 0) return;
         
-        const nextIndex = (this.currentPatrolIndex + this.patrolDirection) % this.patrolPath.length;
-        if (nextIndex < 0) {
-            this.currentPatrolIndex = this.patrolPath.length - 1;
-            this.patrolDirection = -1;
-        } else {
-            const nextPoint = this.patrolPath[nextIndex];
-            this.moveTo(nextPoint.x, nextPoint.y);
-            this.currentPatrolIndex = nextIndex;
-            
-            // Reverse direction at ends
-            if (nextIndex === 0 || nextIndex === this.patrolPath.length - 1) {
-                this.patrolDirection *= -1;
-            }
+        this.releaseItemClaims();
+        this.clearPath();
+        this.clearPlan();
+        this.targetItem = null;
+        this.socialTarget = null;
+        this.plan = plan;
+        plan.index = -1;
+        
+        if (this.isPlanLogged() && window.activityLogger) {
+            window.activityLogger.logPlan(this, plan);
         }
+        this.advancePlan();
+    }
+
+    /**
+     * Check if a plan is long enough to log step by step
+     * (go-and-use plans keep the usual seeking and waiting messages)
+     * @returns {boolean}
+     */
+    isPlanLogged() {
+        return this.plan !== null && this.plan.steps.length > 2;
+    }
+
+    /**
+     * Move on to the next step of the plan, finishing it after the last
+     */
+    advancePlan() {
+        const plan = this.plan;
+        if (!plan) {
+            this.currentGoal = null;
+            return;
+        }
+        
+        plan.index++;
+        const step = plan.steps[plan.index];
+        if (!step) {
+            this.clearPlan();
+            this.currentGoal = null;
+            this.targetItem = null;
+            return;
+        }
+        
+        this.currentGoal = step;
+        if (this.isPlanLogged() && window.activityLogger) {
+            window.activityLogger.logPlanStep(this, plan);
+        }
+        if (!this.startPlanStep(step)) {
+            this.failPlan();
+        }
+    }
+
+    /**
+     * Begin carrying out a plan step
+     * @param {Object} step
+     * @returns {boolean} False if the step cannot be done (the plan fails)
+     */
+    startPlanStep(step) {
+        const target = this.resolveTarget(step.target);
+        if (!target || !target.active) return false;
+        
+        switch (step.type) {
+            case 'go_to':
+            case 'carry':
+                return target.type === 'npc' ? this.walkToNPC(target) : this.walkToItem(target, step);
+            case 'pick_up':
+                if (!target.contents) {
+                    // Carry the whole item off
+                    if (!this.canUseItemFrom(target) || !this.pickUp(target)) return false;
+                    this.advancePlan();
+                    return true;
+                }
+                // Take a serving from a container
+                this.targetItem = target;
+                return this.startUsingItem(target);
+            case 'use':
+                this.targetItem = target;
+                if (this.startUsingItem(target)) return true;
+                
+                // Someone beat us to it (our reservation timed out): re-plan right away
+                if (window.activityLogger) {
+                    window.activityLogger.logNPCAction(this, 'lost the spot at', target.name);
+                }
+                this.aiTimer = this.aiInterval;
+                return false;
+            case 'wait':
+                target.joinQueue(this.id);
+                this.waitingFor = { item: target, needType: step.needType };
+                if (!this.isPlanLogged() && window.activityLogger) {
+                    window.activityLogger.logWaitingForItem(this, target.name);
+                }
+                return true;
+            case 'talk':
+                if (this.getDistance(target) > 1) return false;
+                this.performInteraction(target, step.interaction);
+                this.advancePlan();
+                return true;
+            case 'give': {
+                const held = this.inventory.getHeld();
+                if (this.getDistance(target) > 1 || !held || !this.giveItem(target)) return false;
+                if (this.plan.recipient === target) {
+                    this.rewardHelp(target, `brought ${target.name} ${held.name}`);
+                }
+                this.advancePlan();
+                return true;
+            }
+            case 'guide':
+                if (this.getDistance(target) > 1 || !this.guideNPC(target, step.item, step.needType)) return false;
+                this.advancePlan();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the entity a step is aimed at (items not made yet resolve to what we made)
+     * @param {Entity|Object} target - Entity or {pending: defKey}
+     * @returns {Entity|null}
+     */
+    resolveTarget(target) {
+        if (target && target.pending) {
+            return this.lastMade && this.lastMade.defKey === target.pending ? this.lastMade : null;
+        }
+        return target || null;
+    }
+
+    /**
+     * Claim a free slot of an item and walk to it
+     * @param {FunctionalItem} item
+     * @param {Object} step - Plan step (for the log)
+     * @returns {boolean} False if no slot can be reached or claimed
+     */
+    walkToItem(item, step) {
+        // Items are used from one of their slots (a neighbouring tile for blocking items)
+        const route = this.findPathToItem(item);
+        if (!route) return false;
+        
+        // Claim the slot so nobody else heads for it
+        this.releaseItemClaims();
+        if (!item.reserve(this.id, route.slot.index)) return false;
+        this.targetItem = item;
+        
+        // Log to activity console
+        if (!this.isPlanLogged() && step.needType && window.activityLogger) {
+            window.activityLogger.logSeekingItem(this, step.needType, item.getUseDefinition(step.choice).name);
+        }
+        
+        this.followPath(route.path, { x: route.slot.x, y: route.slot.y, adjacent: false });
+        return true;
+    }
+
+    /**
+     * Walk next to another NPC
+     * @param {NPC} other
+     * @returns {boolean} False if they cannot be reached
+     */
+    walkToNPC(other) {
+        if (this.getDistance(other) <= 1) {
+            this.advancePlan();
+            return true;
+        }
+        
+        const goal = { x: other.tileX, y: other.tileY, adjacent: true };
+        const path = this.findPathTo(goal.x, goal.y, { adjacent: true });
+        if (!path) return false;
+        
+        this.socialTarget = other;
+        this.followPath(path, goal);
+        return true;
+    }
+
+    /**
+     * Abandon the current plan
+     */
+    failPlan() {
+        const plan = this.plan;
+        if (plan && plan.steps.length > 2 && window.activityLogger) {
+            window.activityLogger.logNPCAction(this, 'gave up on', plan.name);
+        }
+        
+        this.releaseItemClaims();
+        this.clearPath();
+        this.clearPlan();
+        this.currentGoal = null;
+        this.targetItem = null;
+        this.socialTarget = null;
+    }
+
+    /**
+     * Drop the current plan, freeing anyone waiting on our help
+     */
+    clearPlan() {
+        if (this.plan && this.plan.recipient && this.plan.recipient.helper === this) {
+            this.plan.recipient.helper = null;
+        }
+        this.plan = null;
+    }
+
+    /**
+     * Pick an item up off the map
+     * @param {Entity} entity
+     * @returns {boolean} False if it cannot be carried or there is no room
+     */
+    pickUp(entity) {
+        const name = entity.name;
+        if (!this.inventory.pickUp(entity)) return false;
+        
+        if (window.activityLogger) {
+            window.activityLogger.logNPCAction(this, 'picked up', name);
+        }
+        return true;
+    }
+
+    /**
+     * Put a carried item down on our tile
+     * @param {number} index - Inventory index (defaults to the held item)
+     * @returns {Entity|null} The placed item
+     */
+    dropItem(index = this.inventory.entries.length - 1) {
+        return this.inventory.drop(this.tileX, this.tileY, index);
+    }
+
+    /**
+     * Hand a carried item to another NPC
+     * @param {NPC} other
+     * @param {number} index - Inventory index (defaults to the held item)
+     * @returns {boolean} False if they have no room
+     */
+    giveItem(other, index = this.inventory.entries.length - 1) {
+        const entry = this.inventory.giveTo(other.inventory, index);
+        if (!entry) return false;
+        
+        if (window.activityLogger) {
+            window.activityLogger.logNPCAction(this, 'gave', `${entry.name} to ${other.name}`);
+        }
+        other.onItemReceived();
+        return true;
+    }
+
+    /**
+     * Reconsider what to do after being handed something (it may be what we need)
+     */
+    onItemReceived() {
+        if (this.usingItem) return;
+        
+        this.failPlan();
+        this.aiTimer = this.aiInterval;
+    }
+
+    /**
+     * Put down a carried item and use it
+     * @param {number} index - Inventory index
+     * @param {string} needType
+     */
+    useFromInventory(index, needType) {
+        const item = this.dropItem(index);
+        if (item && item.type === 'functional') {
+            this.goToItem(item, needType);
+        }
+    }
+
+    /**
+     * Queue for an item that is full
+     * @param {FunctionalItem} item
+     * @param {string} needType
+     */
+    waitForItem(item, needType) {
+        this.startPlan(GoalPlanner.getShared().planWait(this, item, needType));
+    }
+
+    /**
+     * Go to the item we are waiting for once it has room, or give up when the queue drops us
+     * (the next AI tick then decides as usual: orders, schedule, then our aiType)
+     */
+    checkWaiting() {
+        const { item } = this.waitingFor;
+        
+        if (item.active && item.isAvailable(this.id)) {
+            this.waitingFor = null;
+            this.advancePlan();
+            if (this.plan) return;
+        } else if (item.active && item.isQueued(this.id)) {
+            return; // Keep waiting
+        } else if (window.activityLogger) {
+            window.activityLogger.logNPCAction(this, 'gave up waiting for', item.name);
+        }
+        
+        // Timed out, or could not get there
+        this.failPlan();
+    }
+
+    /**
+     * Release any reservation or queue place we hold
+     */
+    releaseItemClaims() {
+        if (this.targetItem && !this.usingItem) {
+            this.targetItem.releaseReservation(this.id);
+        }
+        if (this.waitingFor) {
+            this.waitingFor.item.leaveQueue(this.id);
+            this.waitingFor = null;
+        }
+    }
+
+    /**
+     * Start using an item
+     * @param {FunctionalItem} item
+     * @returns {boolean} Success
+     */
+    startUsingItem(item) {
+        const recipe = item.getRecipe();
+        if (recipe && this.inventory.getHeldKey() !== recipe.input) return false; // Nothing to cook with
+        
+        const choice = this.currentGoal ? this.currentGoal.choice : null;
+        if (!item.startUse(this.id, this.tileX, this.tileY, choice)) return false;
+        
+        this.faceTowards(item.tileX, item.tileY);
+        this.usingItem = true;
+        this.isMoving = false;
+        this.useGains = {};
+        this.joinCoUsers(item);
+        return true;
+    }
+
+    /**
+     * Bond with everyone already using an item we just started using
+     * @param {FunctionalItem} item
+     */
+    joinCoUsers(item) {
+        if (!window.world) return;
+        
+        for (const userId of item.getUserIds()) {
+            if (userId === this.id) continue;
+            const other = window.world.entityManager.get(userId);
+            if (!other || (other.type !== 'npc' && other.type !== 'player')) continue;
+            
+            this.updateRelationship(other, 2); // Sharing an activity
+            this.recordInteraction(other, 'share');
+            if (other.type === 'npc') { // The player keeps no relationships of its own
+                other.updateRelationship(this, 2);
+                if (this.isPartner(other)) {
+                    this.updateRomance(other, 3); // Couples enjoy a shared bed or sofa
+                    other.updateRomance(this, 3);
+                }
+                other.recordInteraction(this, 'share');
+            }
+            
+            if (window.activityLogger) {
+                window.activityLogger.logNPCInteraction(this, other, `shared the ${item.name}`);
+            }
+        }
+    }
+
+    /**
+     * Apply the share of an item's need changes for a slice of use time
+     * @param {FunctionalItem} item
+     * @param {number} seconds - Use time to apply
+     */
+    applyItemUseGains(item, seconds) {
+        if (seconds <= 0) return;
+        
+        const needTypes = Object.keys(item.getUseSatisfies(this.id));
+        if (item.users.size > 1 && !needTypes.includes('social')) {
+            needTypes.push('social');
+        }
+        
+        for (const needType of needTypes) {
+            const need = this.needs[needType];
+            if (!need) continue;
+            
+            const before = need.value;
+            let amount = item.getSatisfactionRate(needType, this.id) * seconds;
+            if (needType === 'social') {
+                amount += item.sharedSocialRate * (item.users.size - 1) * seconds; // Company
+            }
+            if (amount >= 0) {
+                this.needsSystem.satisfyNeed(this.needs, needType, amount);
+            } else {
+                need.value = Math.max(0, need.value + amount); // e.g. Coffee costs sleep
+            }
+            this.useGains[needType] = (this.useGains[needType] || 0) + (need.value - before);
+        }
+    }
+
+    /**
+     * Check if every need an item fills is already full
+     * @param {FunctionalItem} item
+     * @returns {boolean}
+     */
+    isFullFromItem(item) {
+        const satisfies = item.getUseSatisfies(this.id);
+        const filled = Object.keys(satisfies)
+            .filter(needType => satisfies[needType] > 0 && this.needs[needType]);
+        return filled.length > 0 && filled.every(needType => this.needs[needType].value >= this.needs[needType].max);
+    }
+
+    /**
+     * Leave the current item if a need it does nothing for became critical
+     * and dealing with it now scores better than finishing
+     * @returns {boolean} True if we stopped using the item
+     */
+    checkPreemption() {
+        if (!this.targetItem) return false;
+        
+        // A step towards the need (e.g. cooking when hungry) counts as dealing with it
+        const satisfies = this.targetItem.getUseSatisfies(this.id);
+        const planNeed = this.plan ? this.plan.needType : null;
+        const criticalNeed = Object.keys(this.needs).find(needType =>
+            !(satisfies[needType] > 0) && needType !== planNeed && this.needsSystem.isNeedCritical(this.needs, needType));
+        if (!criticalNeed) return false;
+        
+        const scorer = ActionScorer.getShared();
+        const candidates = this.scoreAllowedActions();
+        const best = candidates[0];
+        if (!best || best.type === 'wander' || best.type === 'idle') return false;
+        if (best.target === this.targetItem) return false; // Already here
+        if (best.score <= scorer.scoreContinuingUse(this, this.targetItem)) return false;
+        
+        const config = this.needsSystem.needTypes[criticalNeed];
+        this.stopUsingItem(`${config ? config.name.toLowerCase() : criticalNeed} is critical`);
+        this.actionCandidates = candidates.slice(0, scorer.candidateCount);
+        this.performAction(best);
+        return true;
+    }
+
+    /**
+     * Complete using an item (needs were satisfied while using it), then move on with the plan
+     */
+    completeItemUse() {
+        const item = this.targetItem;
+        const step = this.currentGoal;
+        
+        if (item && step) {
+            const itemName = item.getUseDefinition(step.choice).name;
+            const taken = item.getYield(step.choice);
+            const recipe = item.getRecipe();
+            
+            if (taken) {
+                // Ingredients are carried off rather than eaten
+                const added = this.inventory.addDefinition(taken);
+                if (window.activityLogger) {
+                    window.activityLogger.logNPCAction(this, added ? 'took' : 'has no room for', itemName);
+                }
+            } else if (recipe && this.inventory.getHeldKey() === recipe.input) {
+                this.inventory.take();
+                this.lastMade = item.produce();
+                if (this.lastMade && window.activityLogger) {
+                    window.activityLogger.logNPCAction(this, 'cooked', `${this.lastMade.name} at ${item.name}`);
+                }
+            } else if (window.activityLogger) {
+                // Log to activity console
+                window.activityLogger.logNeedSatisfaction(this, step.needType, itemName);
+            }
+        }
+        
+        this.usingItem = false;
+        this.useGains = {};
+        this.targetItem = null;
+        this.advancePlan();
+    }
+
+    /**
+     * Stop using an item before it is finished, keeping what was gained so far
+     * @param {string} reason - Why we stopped (for the log)
+     */
+    stopUsingItem(reason) {
+        if (!this.usingItem || !this.targetItem) return;
+        
+        this.targetItem.stopUse(this.id);
+        
+        if (window.activityLogger) {
+            const choice = this.currentGoal ? this.currentGoal.choice : null;
+            const itemName = this.targetItem.getUseDefinition(choice).name;
+            window.activityLogger.logPartialSatisfaction(this, itemName, this.useGains, reason);
+        }
+        
+        this.usingItem = false;
+        this.useGains = {};
+        this.targetItem = null;
+        this.currentGoal = null;
+        this.clearPlan();
+        this.aiTimer = this.aiInterval; // Decide what to do next right away
+    }
+
+    /**
+     * Interact with another NPC
+     * @param {NPC} otherNPC
+     */
+    interactWithNPC(otherNPC) {
+        if (!otherNPC || otherNPC.id === this.id) return;
+        
+        // Walk over to the other NPC if not adjacent, then talk
+        this.startPlan(GoalPlanner.getShared().planTalk(this, otherNPC));
+    }
+
+    /**
+     * Perform interaction with another NPC
+     * @param {NPC} otherNPC
+     * @param {string|null} typeKey - Interaction type (an order), or null to choose one
+     */
+    performInteraction(otherNPC, typeKey = null) {
+        typeKey = typeKey || this.chooseInteraction(otherNPC);
+        const type = NPC.getInteractionTypes()[typeKey];
+        const statusBefore = otherNPC.getRelationshipStatus(otherNPC.getRelationship(this));
+        const romanceBefore = otherNPC.getRomanceStatus(this);
+        
+        // Update relationships ([ours, theirs])
+        this.updateRelationship(otherNPC, type.relationship[0]);
+        otherNPC.updateRelationship(this, type.relationship[1]);
+        if (type.romance) {
+            this.updateRomance(otherNPC, type.romance[0]);
+            otherNPC.updateRomance(this, type.romance[1]);
+        }
+        
+        // Satisfy needs (a bad exchange costs happiness but is still company)
+        const gains = this.getInteractionGains();
+        
+        this.needsSystem.satisfyNeed(this.needs, 'happiness', gains.happiness * type.happiness[0]);
+        this.needsSystem.satisfyNeed(this.needs, 'social', gains.social * type.social[0]);
+        
+        otherNPC.needsSystem.satisfyNeed(otherNPC.needs, 'happiness', gains.happiness * type.happiness[1]);
+        otherNPC.needsSystem.satisfyNeed(otherNPC.needs, 'social', gains.social * type.social[1]);
+        
+        // Record interaction, and remember the notable ones
+        this.recordInteraction(otherNPC, typeKey);
+        otherNPC.recordInteraction(this, typeKey);
+        if (type.memory) {
+            const description = `${this.name} ${type.verb} ${otherNPC.name}`;
+            otherNPC.memory.add(typeKey, this, description, type.memory.sentiment, type.memory.strength);
+            if (type.memory.mutual) {
+                this.memory.add(typeKey, otherNPC, description, type.memory.sentiment, type.memory.strength);
+            }
+        }
+        
+        // Log to activity console, with how the other side took it
+        if (window.activityLogger) {
+            const change = type.relationship[1];
+            const status = otherNPC.getRelationshipStatus(otherNPC.getRelationship(this));
+            let outcome = `${change > 0 ? '+' : ''}${change}` + (status !== statusBefore ? `, now ${status}` : '');
+            if (type.romance) {
+                const romance = otherNPC.getRomanceStatus(this);
+                outcome += `, romance +${type.romance[1]}` + (romance && romance !== romanceBefore ? `, now ${romance}` : '');
+            }
+            window.activityLogger.logSocialInteraction(this, otherNPC, type.verb, outcome);
+        }
+        
+        this.updatePartnership(otherNPC);
+        if (type.relationship[1] > 0) {
+            this.shareGossip(otherNPC);
+        }
+        
+        console.log(`${this.name} ${type.verb} ${otherNPC.name}`);
+    }
+
+    /**
+     * Maybe tell someone the juiciest thing we remember about a third NPC (social NPCs gossip more)
+     * @param {NPC} listener
+     */
+    shareGossip(listener) {
+        const memory = this.memory.pickGossip(this.id, listener.memory, listener.id, this.gossipMinStrength);
+        if (!memory || !SeededRandom.getShared().chance(0.3 + this.personality.social * 0.5)) return;
+        
+        listener.hearGossip(this, memory);
+    }
+
+    /**
+     * Take in gossip: remember it second-hand and let it colour how we feel about its subject
+     * @param {NPC} teller
+     * @param {Object} memory - Teller's memory
+     */
+    hearGossip(teller, memory) {
+        const subject = window.world ? window.world.entityManager.get(memory.subjectId) : null;
+        if (!subject) return;
+        
+        // Friends are believed, people we dislike are not
+        const trust = Math.max(0, Math.min(1, 0.5 + this.getRelationship(teller) / 200));
+        const strength = memory.strength * 0.5 * trust;
+        this.memory.add(memory.event, subject, memory.description, memory.sentiment, strength, teller.name);
+        
+        const change = Math.round(memory.sentiment * strength * 0.2);
+        if (change !== 0) {
+            this.updateRelationship(subject, change, false); // Hearsay is not contact
+        }
+        
+        if (window.activityLogger) {
+            window.activityLogger.logGossip(teller, this, memory.description, subject, change);
+        }
+    }
+
+    /**
+     * Get the kinds of interaction between NPCs
+     * Pairs are [initiator, other]: relationship change, and multipliers of the happiness and social gains.
+     * Notable ones are remembered by the other side (both sides if mutual). `command` labels the order in the menu.
+     * @returns {Object} Map of type key -> {command, verb, relationship, happiness, social, romance?, memory?}
+     */
+    static getInteractionTypes() {
+        return {
+            chat: { command: 'Chat with', verb: 'chatted with', relationship: [3, 3], happiness: [1, 0.8], social: [1, 0.8] },
+            joke: { command: 'Joke with', verb: 'joked with', relationship: [5, 5], happiness: [1.5, 1.2], social: [1, 0.8] },
+            comfort: {
+                command: 'Comfort', verb: 'comforted', relationship: [4, 8], happiness: [0.8, 2], social: [1, 1],
+                memory: { sentiment: 0.8, strength: 50 }
+            },
+            argue: {
+                command: 'Argue with', verb: 'argued with', relationship: [-6, -6], happiness: [-0.5, -0.5], social: [0.5, 0.4],
+                memory: { sentiment: -0.5, strength: 40, mutual: true }
+            },
+            insult: {
+                command: 'Insult', verb: 'insulted', relationship: [-3, -12], happiness: [0.2, -1], social: [0.3, 0.2],
+                memory: { sentiment: -1, strength: 70 }
+            },
+            // Romance (also change the romance axis)
+            flirt: { command: 'Flirt with', verb: 'flirted with', relationship: [1, 1], romance: [8, 8], happiness: [1, 1], social: [1, 0.8] },
+            date: { command: 'Ask out', verb: 'went on a date with', relationship: [3, 3], romance: [12, 12], happiness: [2, 2], social: [1.5, 1.5] },
+            kiss: { command: 'Kiss', verb: 'kissed', relationship: [2, 2], romance: [5, 5], happiness: [2, 2], social: [1, 1] }
+        };
+    }
+
+    /**
+     * Pick how an interaction goes
+     * @param {NPC} other
+     * @returns {string} Interaction type key
+     */
+    chooseInteraction(other) {
+        return SeededRandom.getShared().weightedPick(this.getInteractionWeights(other));
+    }
+
+    /**
+     * Weigh the interaction types: friends and compatible NPCs in a good mood joke,
+     * grumpy and clashing ones argue or trade insults, helpful ones comfort the unhappy.
+     * NPCs who could fall for each other flirt, then date once there is a crush; couples kiss.
+     * @param {NPC} other
+     * @returns {Object} {typeKey: weight} (romance types only if we could be a couple)
+     */
+    getInteractionWeights(other) {
+        const mood = this.getMood();
+        const otherMood = other.getMood();
+        const liking = (this.getCompatibility(other) + this.getRelationship(other) / 100) / 2; // -1 to 1
+        
+        const temper = 1 - mood * 0.5; // Even happy NPCs snap at people they cannot stand
+        const weights = {
+            chat: 1,
+            joke: mood * Math.max(0, liking + 0.5) * 2,
+            comfort: otherMood < 0.4 ? this.personality.helpful * (1 - otherMood) * 2 : 0,
+            argue: temper * Math.max(0, 0.5 - liking) * 2,
+            insult: temper * Math.max(0, -liking) * 2
+        };
+        
+        if (this.canRomance(other)) {
+            const romance = this.getRomance(other) / 100;
+            const together = this.isPartner(other);
+            weights.flirt = !together && this.getRelationship(other) >= 20 ? mood * (1 + romance * 2) : 0;
+            weights.date = romance >= 0.3 ? mood * (1 + romance * 2) : 0;
+            weights.kiss = together ? mood * (1 + romance) : 0;
+        }
+        return weights;
+    }
+
+    /**
+     * Get how well two personalities get along
+     * @param {NPC} other
+     * @returns {number} -1 (clashing) to 1 (alike)
+     */
+    getCompatibility(other) {
+        const traits = Object.keys(this.personality);
+        if (!other.personality || traits.length === 0) return 0;
+        
+        let difference = 0;
+        for (const trait of traits) {
+            difference += Math.abs(this.personality[trait] - (other.personality[trait] || 0));
+        }
+        // Random traits differ by a third on average, which comes out neutral
+        return Math.max(-1, Math.min(1, 1 - (difference / traits.length) * 3));
+    }
+
+    /**
+     * Get current mood from happiness
+     * @returns {number} 0 (miserable) to 1 (happy)
+     */
+    getMood() {
+        const happiness = this.needs && this.needs.happiness;
+        return happiness ? happiness.value / happiness.max : 0.5;
+    }
+
+    /**
+     * Get the need gains of talking to someone
+     * @returns {Object} {happiness, social}
+     */
+    getInteractionGains() {
+        return {
+            happiness: 5 + (this.personality.social * 3),
+            social: 10 + (this.personality.social * 5)
+        };
+    }
+
+    /**
+     * Update relationship with another entity
+     * @param {Entity} other
+     * @param {number} change - Positive or negative change
+     * @param {boolean} contact - False for changes that are not time spent together (e.g. gossip), so decay still applies
+     */
+    updateRelationship(other, change, contact = true) {
+        const rel = this.getRelationshipData(other);
+        rel.value = Math.max(-100, Math.min(100, rel.value + change));
+        if (!contact) return;
+        rel.interactions++;
+        rel.lastInteraction = this.getGameTime();
+    }
+
+    /**
+     * Get the relationship record with another entity, creating it if needed
+     * @param {Entity} other
+     * @returns {Object} {value, romance, partnership, interactions, lastInteraction}
+     */
+    getRelationshipData(other) {
+        if (!this.relationships.has(other.id)) {
+            this.relationships.set(other.id, {
+                value: 0,
+                romance: 0, // 0-100, independent of friendship
+                partnership: null, // 'partner', 'spouse' or 'ex'
+                interactions: 0,
+                lastInteraction: this.getGameTime()
+            });
+        }
+        return this.relationships.get(other.id);
+    }
+
+    /**
+     * Forget relationships with entities that are no longer on the map
+     * @param {EntityManager} entityManager
+     */
+    pruneRelationships(entityManager) {
+        for (const id of Array.from(this.relationships.keys())) {
+            if (!entityManager.get(id)) {
+                this.relationships.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Fade relationships we have not kept up towards Neutral
+     * @param {number} simDelta - Simulation milliseconds since the last call
+     */
+    decayRelationships(simDelta) {
+        const timeSystem = window.timeSystem;
+        if (!timeSystem || this.relationships.size === 0) return;
+        
+        const fade = this.relationshipDecayRate * timeSystem.toGameMinutes(simDelta) / 60;
+        for (const rel of this.relationships.values()) {
+            if (!this.isRelationshipFading(rel)) continue;
+            rel.value = Math.sign(rel.value) * Math.max(0, Math.abs(rel.value) - fade);
+            rel.romance = Math.max(0, (rel.romance || 0) - fade / 2); // Feelings linger
+        }
+    }
+
+    /**
+     * Check if a relationship has gone long enough without contact to fade
+     * @param {Object} rel - Relationship data
+     * @returns {boolean}
+     */
+    isRelationshipFading(rel) {
+        const timeSystem = window.timeSystem;
+        if (!timeSystem || (rel.value === 0 && !rel.romance)) return false;
+        return timeSystem.toGameMinutes(this.getGameTime() - rel.lastInteraction) >= this.relationshipDecayDelay;
+    }
+
+    /**
+     * Get relationship value with another entity
+     * @param {Entity} other
+     * @returns {number} -100 to 100
+     */
+    getRelationship(other) {
+        if (!this.relationships.has(other.id)) {
+            return 0;
+        }
+        return this.relationships.get(other.id).value;
+    }
+
+    /**
+     * Record an interaction
+     * @param {Entity} other
+     * @param {string} type
+     */
+    recordInteraction(other, type) {
+        this.interactionHistory.push({
+            with: other.id,
+            name: other.name,
+            type: type,
+            time: this.getGameTime()
+        });
+        
+        // Keep only last 20 interactions
+        if (this.interactionHistory.length > 20) {
+            this.interactionHistory.shift();
+        }
+    }
+
+    /**
+     * Get relationship status text
+     * @param {number} value
+     * @returns {string}
+     */
+    getRelationshipStatus(value) {
+        if (value >= 80) return 'Best Friend';
+        if (value >= 50) return 'Friend';
+        if (value >= 20) return 'Acquaintance';
+        if (value >= -20) return 'Neutral';
+        if (value >= -50) return 'Unfriendly';
+        return 'Enemy';
+    }
+
+    /**
+     * Check if we could fall for another NPC (age and orientation)
+     * @param {NPC} other
+     * @returns {boolean}
+     */
+    isAttractedTo(other) {
+        if (!other.gender || !this.attractedTo.includes(other.gender)) return false;
+        if (this.age < this.romanceMinAge || other.age < this.romanceMinAge) return false;
+        return Math.abs(this.age - other.age) <= this.romanceMaxAgeGap;
+    }
+
+    /**
+     * Check if romance is possible between us: attraction both ways, and neither is with someone else
+     * @param {NPC} other
+     * @returns {boolean}
+     */
+    canRomance(other) {
+        if (other.type !== 'npc' || !this.isAttractedTo(other) || !other.isAttractedTo(this)) return false;
+        
+        const partner = this.getPartner();
+        const otherPartner = other.getPartner();
+        return (!partner || partner === other) && (!otherPartner || otherPartner === this);
+    }
+
+    /**
+     * Get romance value with another entity
+     * @param {Entity} other
+     * @returns {number} 0-100
+     */
+    getRomance(other) {
+        const rel = this.relationships.get(other.id);
+        return rel ? rel.romance || 0 : 0;
+    }
+
+    /**
+     * Change romance with another entity
+     * @param {Entity} other
+     * @param {number} change
+     */
+    updateRomance(other, change) {
+        const rel = this.getRelationshipData(other);
+        rel.romance = Math.max(0, Math.min(100, (rel.romance || 0) + change));
+        rel.lastInteraction = this.getGameTime();
+    }
+
+    /**
+     * Get romance status with another entity
+     * @param {Entity} other
+     * @returns {string|null} 'Spouse', 'Partner', 'Ex', 'Crush' or null
+     */
+    getRomanceStatus(other) {
+        const rel = this.relationships.get(other.id);
+        if (!rel) return null;
+        if (rel.partnership === 'spouse') return 'Spouse';
+        if (rel.partnership === 'partner') return 'Partner';
+        if (rel.partnership === 'ex') return 'Ex';
+        return rel.romance >= 30 ? 'Crush' : null;
+    }
+
+    /**
+     * Check if we are a couple with another entity
+     * @param {Entity} other
+     * @returns {boolean}
+     */
+    isPartner(other) {
+        const rel = this.relationships.get(other.id);
+        return !!rel && (rel.partnership === 'partner' || rel.partnership === 'spouse');
+    }
+
+    /**
+     * Get our partner or spouse
+     * @returns {NPC|null}
+     */
+    getPartner() {
+        if (!window.world) return null;
+        
+        for (const [id, rel] of this.relationships) {
+            if (rel.partnership === 'partner' || rel.partnership === 'spouse') {
+                return window.world.entityManager.get(id) || null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get together, marry or break up after an interaction (kept the same on both sides)
+     * @param {NPC} other
+     */
+    updatePartnership(other) {
+        const mine = this.getRelationshipData(other);
+        const theirs = other.getRelationshipData(this);
+        let partnership = mine.partnership;
+        let description = null;
+        
+        if (this.isPartner(other)) {
+            if (mine.value < 0 || theirs.value < 0 || mine.romance < 20 || theirs.romance < 20) {
+                partnership = 'ex';
+                description = 'broke up';
+            } else if (mine.partnership === 'partner' && mine.romance >= 90 && theirs.romance >= 90 &&
+                mine.value >= 50 && theirs.value >= 50) {
+                partnership = 'spouse';
+                description = 'got married';
+            }
+        } else if (this.canRomance(other) && mine.romance >= 60 && theirs.romance >= 60) {
+            partnership = 'partner';
+            description = 'got together';
+        }
+        if (!description) return;
+        
+        mine.partnership = partnership;
+        theirs.partnership = partnership;
+        if (window.activityLogger) {
+            window.activityLogger.logPartnership(this, other, description);
+        }
+    }
+
+    /**
+     * Make AI decision based on AI type (legacy method)
+     */
+    makeAIDecision() {
+        switch (this.aiType) {
+            case 'patrol':
+                this.patrol();
+                break;
+            case 'wander':
+                this.wander();
+                break;
+            case 'idle':
+            default:
+                // Do nothing
+                break;
+        }
+    }
+
+    /**
+     * Patrol along the waypoints: walk to each in turn (pathfinding around whatever is
+     * in the way), wait there if it has a wait time, then go on to the next
+     */
+    patrol() {
+        const path = this.patrolPath;
+        if (path.length === 0) return;
+        
+        const point = path[this.currentPatrolIndex] || path[0];
+        if (!this.isAtPosition(point.x, point.y)) {
+            // Head for it, or skip a waypoint we cannot reach
+            if (!this.travelTo(point.x, point.y)) {
+                this.advancePatrolIndex();
+            }
+            return;
+        }
+        
+        if (point.wait > 0) {
+            if (this.patrolWaitStart === null) {
+                this.patrolWaitStart = this.getGameTime();
+                return;
+            }
+            const timeSystem = window.timeSystem;
+            const waited = timeSystem ? timeSystem.toGameMinutes(this.getGameTime() - this.patrolWaitStart) : point.wait;
+            if (waited < point.wait) return;
+        }
+        
+        this.patrolWaitStart = null;
+        this.advancePatrolIndex();
+        const next = path[this.currentPatrolIndex];
+        this.travelTo(next.x, next.y);
+    }
+
+    /**
+     * Move on to the next waypoint of the patrol
+     */
+    advancePatrolIndex() {
+        const last = this.patrolPath.length - 1;
+        if (last <= 0) {
+            this.currentPatrolIndex = 0;
+            return;
+        }
+        
+        if (this.patrolMode === 'loop') {
+            this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolPath.length;
+            return;
+        }
+        
+        // Ping-pong: turn around at either end
+        const next = this.currentPatrolIndex + this.patrolDirection;
+        if (next < 0 || next > last) {
+            this.patrolDirection *= -1;
+        }
+        this.currentPatrolIndex += this.patrolDirection;
     }
 
     /**
@@ -557,7 +1730,7 @@ class NPC extends Entity {
         ];
         
         // Try random directions until we find a valid one
-        const shuffled = directions.sort(() => Math.random() - 0.5);
+        const shuffled = SeededRandom.getShared().shuffle(directions);
         
         for (const dir of shuffled) {
             const newX = this.tileX + dir.x;
@@ -592,36 +1765,195 @@ class NPC extends Entity {
         this.targetPixelY = y * 32;
         this.isMoving = true;
         this.animationFrame = 0;
-        this.lastAnimationTime = Date.now();
+        this.animationTimer = 0;
     }
 
     /**
-     * Check if NPC can move to a position
+     * Find a path from the current tile to a destination
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} options - {adjacent: stop next to the destination}
+     * @returns {Array<{x, y}>|null} Steps, or null if unreachable
+     */
+    findPathTo(x, y, options = {}) {
+        if (!window.world || !window.world.pathfinder) return null;
+        
+        return window.world.pathfinder.findPath(
+            this.tileX,
+            this.tileY,
+            x,
+            y,
+            (tileX, tileY) => this.canMoveTo(tileX, tileY),
+            options
+        );
+    }
+
+    /**
+     * Check if a destination can be reached by walking
      * @param {number} x
      * @param {number} y
+     * @param {Object} options - {adjacent: reaching a neighbouring tile is enough}
      * @returns {boolean}
      */
-    canMoveTo(x, y) {
-        // Check map bounds
-        if (!window.mapRenderer) return false;
+    canReach(x, y, options = {}) {
+        return this.findPathTo(x, y, options) !== null;
+    }
+
+    /**
+     * Plan a route to a tile and start walking it
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} options - {adjacent: stop next to the destination}
+     * @returns {boolean} True if a route was found
+     */
+    travelTo(x, y, options = {}) {
+        const path = this.findPathTo(x, y, options);
+        if (!path) return false;
         
-        if (x < 0 || x >= window.mapRenderer.mapWidth || 
-            y < 0 || y >= window.mapRenderer.mapHeight) {
-            return false;
+        this.followPath(path, { x, y, adjacent: options.adjacent || false });
+        return true;
+    }
+
+    /**
+     * Start following a planned path
+     * @param {Array<{x, y}>} path
+     * @param {Object} goal - {x, y, adjacent} used when re-planning
+     */
+    followPath(path, goal) {
+        this.path = path.slice();
+        this.pathGoal = goal;
+        this.replanAttempts = 0;
+        
+        if (this.path.length === 0) {
+            this.onPathComplete();
+        } else if (!this.isMoving) {
+            this.advancePath();
         }
+    }
+
+    /**
+     * Step onto the next tile of the current path, re-planning if it is blocked
+     */
+    advancePath() {
+        if (this.path.length === 0) return;
         
-        // Check for blocking entities (can be expanded)
-        const entitiesAtPos = window.mapRenderer.entityManager.getAtPosition(x, y);
-        const blockingEntities = entitiesAtPos.filter(e => 
-            e.type === 'functional' && e.inUse
-        );
+        const next = this.path[0];
+        if (this.canMoveTo(next.x, next.y)) {
+            this.path.shift();
+            this.replanAttempts = 0;
+            this.moveTo(next.x, next.y);
+            return;
+        }
         
-        // Don't move to position with blocking functional items
-        if (blockingEntities.length > 0) {
-            return false;
+        this.replanPath();
+    }
+
+    /**
+     * Re-plan the route to the current path goal after being blocked
+     */
+    replanPath() {
+        const goal = this.pathGoal;
+        this.replanAttempts++;
+        
+        if (!goal || this.replanAttempts > this.maxReplanAttempts) {
+            this.giveUpPath();
+            return;
         }
         
-        return true;
+        const path = this.findPathTo(goal.x, goal.y, { adjacent: goal.adjacent });
+        if (!path) {
+            this.giveUpPath();
+            return;
+        }
+        
+        this.path = path;
+        if (this.path.length === 0) {
+            this.onPathComplete();
+        } else {
+            // Try the new route right away; a further block counts as another attempt
+            this.advancePath();
+        }
+    }
+
+    /**
+     * Abandon the current destination (no route exists any more)
+     */
+    giveUpPath() {
+        const destination = this.targetItem ? this.targetItem.name :
+            this.socialTarget ? this.socialTarget.name : null;
+        
+        if (destination && window.activityLogger) {
+            window.activityLogger.logNPCAction(this, 'gave up reaching', destination);
+        }
+        
+        this.failPlan();
+    }
+
+    /**
+     * Check if the NPC is in position to use an item
+     * @param {FunctionalItem} item
+     * @returns {boolean} True if standing on one of its slots
+     */
+    canUseItemFrom(item) {
+        return item.getSlotIndexAt(this.tileX, this.tileY) !== -1;
+    }
+
+    /**
+     * Clear the current path
+     */
+    clearPath() {
+        this.path = [];
+        this.pathGoal = null;
+        this.replanAttempts = 0;
+    }
+
+    /**
+     * Act on arriving at the end of a path: the plan's walk step is done
+     */
+    onPathComplete() {
+        this.clearPath();
+        this.socialTarget = null;
+        
+        const step = this.currentGoal;
+        if (!this.plan || !step || (step.type !== 'go_to' && step.type !== 'carry')) return;
+        
+        const target = this.resolveTarget(step.target);
+        const arrived = target && target.active && (target.type === 'npc' ?
+            this.getDistance(target) <= 1 : this.canUseItemFrom(target));
+        if (arrived) {
+            this.advancePlan();
+        } else {
+            this.failPlan();
+        }
+    }
+
+    /**
+     * Turn to face a tile
+     * @param {number} x
+     * @param {number} y
+     */
+    faceTowards(x, y) {
+        const dx = x - this.tileX;
+        const dy = y - this.tileY;
+        if (dx === 0 && dy === 0) return;
+        
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.direction = dx > 0 ? 2 : 1; // Right / Left
+        } else {
+            this.direction = dy > 0 ? 0 : 3; // Down / Up
+        }
+    }
+
+    /**
+     * Check if NPC can move to a position
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    canMoveTo(x, y) {
+        // Map bounds, solid tiles and blocking entities are all checked by the world
+        if (!window.world) return false;
+        return window.world.canMoveTo(x, y);
     }
 
     /**
@@ -641,34 +1973,88 @@ class NPC extends Entity {
      * @returns {boolean}
      */
     onInteract(interactor) {
-        // Cycle through dialogue
-        const message = this.dialogue[this.dialogueIndex];
-        this.dialogueIndex = (this.dialogueIndex + 1) % this.dialogue.length;
+        if (this.inDialogue) return false;
         
-        // Show dialogue (can be expanded with UI)
-        console.log(`${this.name}: ${message}`);
-        alert(`${this.name}: ${message}`);
+        // Stop to talk (an item in use is finished first)
+        if (!this.usingItem) {
+            this.failPlan();
+        }
+        interactor.conversation = new Conversation(this, interactor);
+        this.updateRelationship(interactor, 0); // Keeps the relationship from fading
+        this.recordInteraction(interactor, 'talk');
         
+        if (window.activityLogger) {
+            window.activityLogger.log(`${interactor.name} talked to ${this.name}`, 'interaction');
+        }
         return true;
     }
 
     /**
-     * Set dialogue
+     * Set dialogue from lines of text (played one after another)
      * @param {Array<string>} dialogue
      */
     setDialogue(dialogue) {
-        this.dialogue = dialogue;
-        this.dialogueIndex = 0;
+        this.dialogueTree = DialogueTree.fromLines(dialogue);
     }
 
     /**
-     * Set patrol path
-     * @param {Array<{x, y}>} path
+     * Set the dialogue tree
+     * @param {Object} tree - See js/dialogue.js
+     * @returns {boolean} False if the tree is invalid
+     */
+    setDialogueTree(tree) {
+        const errors = DialogueTree.validate(tree);
+        if (errors.length > 0) {
+            console.warn(`Invalid dialogue for ${this.name}: ${errors[0]}`);
+            return false;
+        }
+        this.dialogueTree = tree;
+        return true;
+    }
+
+    /**
+     * Set patrol path (starts over from the first waypoint)
+     * @param {Array<{x, y, wait}>} path - wait in game minutes, optional
+     * @param {string} mode - 'loop' or 'pingpong' (default: keep the current mode)
      */
-    setPatrolPath(path) {
-        this.patrolPath = path;
+    setPatrolPath(path, mode = this.patrolMode) {
+        this.patrolPath = path.map(point => ({ x: point.x, y: point.y, wait: Math.max(0, point.wait || 0) }));
+        this.patrolMode = mode === 'loop' ? 'loop' : 'pingpong';
         this.currentPatrolIndex = 0;
         this.patrolDirection = 1;
+        this.patrolWaitStart = null;
+    }
+
+    /**
+     * Set our schedule
+     * @param {Array<Object>} blocks - Our own blocks (see js/schedule.js), empty to follow the template
+     * @param {string|null} template - Schedule.getTemplates() key (default: keep the current one)
+     * @returns {boolean} False if the blocks or template are invalid
+     */
+    setSchedule(blocks, template = this.scheduleTemplate) {
+        const errors = Schedule.validate(blocks);
+        if (template && !Schedule.getTemplates()[template]) {
+            errors.push(`Unknown template "${template}"`);
+        }
+        if (errors.length > 0) {
+            console.warn(`Invalid schedule for ${this.name}: ${errors[0]}`);
+            return false;
+        }
+        
+        this.schedule = blocks.map(block => {
+            const copy = {
+                activity: block.activity.trim(),
+                start: Schedule.formatTime(Schedule.parseTime(block.start)),
+                end: Schedule.formatTime(Schedule.parseTime(block.end)),
+                place: block.place || null,
+                priority: block.priority
+            };
+            if (Array.isArray(block.days) && block.days.length > 0) copy.days = block.days.slice();
+            if (Array.isArray(block.seasons) && block.seasons.length > 0) copy.seasons = block.seasons.slice();
+            return copy;
+        });
+        this.scheduleTemplate = template || null;
+        return true;
     }
 
     /**
@@ -678,9 +2064,22 @@ class NPC extends Entity {
     serialize() {
         const data = super.serialize();
         data.aiType = this.aiType;
+        data.autonomy = this.autonomy;
         data.patrolPath = this.patrolPath;
-        data.dialogue = this.dialogue;
+        data.patrolMode = this.patrolMode;
+        data.schedule = this.schedule;
+        data.scheduleTemplate = this.scheduleTemplate;
+        data.dialogueTree = this.dialogueTree;
         data.needs = this.needs;
+        data.personality = this.personality;
+        data.age = this.age;
+        data.gender = this.gender;
+        data.attractedTo = this.attractedTo;
+        data.romanceMaxAgeGap = this.romanceMaxAgeGap;
+        data.relationships = Array.from(this.relationships.entries()); // [[entityId, relationshipData]]
+        data.interactionHistory = this.interactionHistory;
+        data.inventory = this.inventory.serialize();
+        data.memory = this.memory.serialize();
         return data;
     }
 
@@ -693,6 +2092,50 @@ class NPC extends Entity {
         if (data.needs) {
             this.needs = data.needs;
         }
+        this.aiType = data.aiType || this.aiType;
+        if (NPC.getAutonomyLevels().includes(data.autonomy)) {
+            this.autonomy = data.autonomy;
+        }
+        if (Array.isArray(data.patrolPath)) {
+            this.setPatrolPath(data.patrolPath, data.patrolMode);
+        }
+        if (Array.isArray(data.schedule)) {
+            this.setSchedule(data.schedule, data.scheduleTemplate || null);
+        }
+        if (data.dialogueTree) {
+            this.setDialogueTree(data.dialogueTree);
+        } else if (Array.isArray(data.dialogue) && data.dialogue.length > 0) {
+            this.setDialogue(data.dialogue); // Maps saved before dialogue trees
+        }
+        if (data.personality) {
+            this.personality = Object.assign({}, this.personality, data.personality);
+        }
+        if (typeof data.age === 'number') {
+            this.age = data.age;
+        }
+        this.gender = data.gender || this.gender;
+        if (Array.isArray(data.attractedTo)) {
+            this.attractedTo = data.attractedTo.slice();
+        }
+        if (typeof data.romanceMaxAgeGap === 'number') {
+            this.romanceMaxAgeGap = data.romanceMaxAgeGap;
+        }
+        // Maps saved without the clock can hold times ahead of it; treat those as just now
+        const now = this.getGameTime();
+        if (Array.isArray(data.relationships)) {
+            this.relationships = new Map(data.relationships.map(([id, rel]) =>
+                [id, Object.assign({}, rel, { lastInteraction: Math.min(rel.lastInteraction || 0, now) })]));
+        }
+        if (Array.isArray(data.interactionHistory)) {
+            this.interactionHistory = data.interactionHistory.map(entry =>
+                Object.assign({}, entry, { time: Math.min(entry.time || 0, now) }));
+        }
+        if (data.inventory) {
+            this.inventory.deserialize(data.inventory);
+        }
+        if (data.memory) {
+            this.memory.deserialize(data.memory);
+        }
     }
 }
 
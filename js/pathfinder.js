@@ -0,0 +1,161 @@
+/**
+ * Pathfinder - A* search over walkable map tiles
+ */
+class Pathfinder {
+    constructor(maxIterations = 5000) {
+        this.maxIterations = maxIterations; // Upper bound on expanded nodes per search
+        this.lastSearchExhausted = false; // True if the last failed search tried every reachable tile (not cut off by maxIterations)
+        this.directions = [
+            { x: 0, y: 1 },  // Down
+            { x: -1, y: 0 }, // Left
+            { x: 1, y: 0 },  // Right
+            { x: 0, y: -1 }  // Up
+        ];
+    }
+
+    /**
+     * Find a path between two tiles
+     * @param {number} startX - Start tile X
+     * @param {number} startY - Start tile Y
+     * @param {number} goalX - Goal tile X
+     * @param {number} goalY - Goal tile Y
+     * @param {Function} isWalkable - Callback (x, y) => boolean
+     * @param {Object} options - {adjacent: stop next to the goal instead of on it}
+     * @returns {Array<{x, y}>|null} Steps excluding the start tile, or null if unreachable
+     *   (lastSearchExhausted tells a dead end from running out of iterations)
+     */
+    findPath(startX, startY, goalX, goalY, isWalkable, options = {}) {
+        this.lastSearchExhausted = false;
+        const adjacent = options.adjacent || false;
+        const isGoal = (x, y) => adjacent
+            ? Math.abs(x - goalX) + Math.abs(y - goalY) === 1
+            : x === goalX && y === goalY;
+        const heuristic = (x, y) => {
+            const distance = Math.abs(x - goalX) + Math.abs(y - goalY);
+            return adjacent ? Math.max(0, distance - 1) : distance;
+        };
+
+        if (isGoal(startX, startY)) {
+            return [];
+        }
+
+        const startKey = `${startX},${startY}`;
+        const open = new PathNodeHeap();
+        const cameFrom = new Map(); // Map<"x,y", "x,y">
+        const costSoFar = new Map(); // Map<"x,y", number>
+
+        open.push({ x: startX, y: startY, key: startKey, f: heuristic(startX, startY) });
+        costSoFar.set(startKey, 0);
+
+        let iterations = 0;
+        while (open.size() > 0 && iterations < this.maxIterations) {
+            iterations++;
+            const current = open.pop();
+
+            if (isGoal(current.x, current.y)) {
+                return this.reconstructPath(cameFrom, current.key);
+            }
+
+            const currentCost = costSoFar.get(current.key);
+            for (const dir of this.directions) {
+                const nextX = current.x + dir.x;
+                const nextY = current.y + dir.y;
+                const nextKey = `${nextX},${nextY}`;
+
+                if (!isWalkable(nextX, nextY)) continue;
+
+                const newCost = currentCost + 1;
+                if (!costSoFar.has(nextKey) || newCost < costSoFar.get(nextKey)) {
+                    costSoFar.set(nextKey, newCost);
+                    cameFrom.set(nextKey, current.key);
+                    open.push({
+                        x: nextX,
+                        y: nextY,
+                        key: nextKey,
+                        f: newCost + heuristic(nextX, nextY)
+                    });
+                }
+            }
+        }
+
+        this.lastSearchExhausted = open.size() === 0;
+        return null; // No route (or search budget exhausted)
+    }
+
+    /**
+     * Check if a tile can be reached
+     * @param {number} startX
+     * @param {number} startY
+     * @param {number} goalX
+     * @param {number} goalY
+     * @param {Function} isWalkable - Callback (x, y) => boolean
+     * @param {Object} options - Same as findPath
+     * @returns {boolean}
+     */
+    isReachable(startX, startY, goalX, goalY, isWalkable, options = {}) {
+        return this.findPath(startX, startY, goalX, goalY, isWalkable, options) !== null;
+    }
+
+    /**
+     * Walk the cameFrom chain back to the start
+     * @param {Map} cameFrom
+     * @param {string} endKey
+     * @returns {Array<{x, y}>}
+     */
+    reconstructPath(cameFrom, endKey) {
+        const path = [];
+        let key = endKey;
+        while (cameFrom.has(key)) {
+            const [x, y] = key.split(',').map(Number);
+            path.unshift({ x, y });
+            key = cameFrom.get(key);
+        }
+        return path;
+    }
+}
+
+/**
+ * Path Node Heap - Binary min-heap ordered by node f score
+ */
+class PathNodeHeap {
+    constructor() {
+        this.nodes = [];
+    }
+
+    size() {
+        return this.nodes.length;
+    }
+
+    push(node) {
+        const nodes = this.nodes;
+        nodes.push(node);
+        let index = nodes.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (nodes[parent].f <= nodes[index].f) break;
+            [nodes[parent], nodes[index]] = [nodes[index], nodes[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const nodes = this.nodes;
+        const top = nodes[0];
+        const last = nodes.pop();
+        if (nodes.length > 0) {
+            nodes[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < nodes.length && nodes[left].f < nodes[smallest].f) smallest = left;
+                if (right < nodes.length && nodes[right].f < nodes[smallest].f) smallest = right;
+                if (smallest === index) break;
+                [nodes[smallest], nodes[index]] = [nodes[index], nodes[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
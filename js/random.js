@@ -0,0 +1,147 @@
+/**
+ * Seeded Random - Deterministic pseudo-random number generator (mulberry32)
+ */
+class SeededRandom {
+    constructor(seed = null) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed !== null ? seed : Math.floor(Math.random() * 0xffffffff));
+    }
+
+    /**
+     * Get the shared simulation generator, creating it on first use
+     * @returns {SeededRandom}
+     */
+    static getShared() {
+        if (!window.rng) {
+            window.rng = new SeededRandom();
+        }
+        return window.rng;
+    }
+
+    /**
+     * Reset the generator to a seed
+     * @param {number} seed - Any integer
+     */
+    setSeed(seed) {
+        this.seed = Math.floor(Number(seed)) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed the generator was last reset to
+     * @returns {number}
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the current internal state (for saving mid-run)
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a saved internal state
+     * @param {number} state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in a range
+     * @param {number} min - Inclusive
+     * @param {number} max - Exclusive
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in a range
+     * @param {number} min - Inclusive
+     * @param {number} max - Inclusive
+     * @returns {number}
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - 0-1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} array
+     * @returns {*} Element, or undefined for an empty array
+     */
+    pick(array) {
+        if (array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Pick a key with probability proportional to its weight
+     * @param {Object} weights - {key: weight}, weights of 0 or less are never picked
+     * @returns {string|undefined} Key, or undefined if nothing has weight
+     */
+    weightedPick(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : undefined;
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array
+     * @returns {Array} The same array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Random identifier string
+     * @param {number} length - Number of base-36 characters
+     * @returns {string}
+     */
+    nextId(length = 9) {
+        let id = '';
+        for (let i = 0; i < length; i++) {
+            id += Math.floor(this.next() * 36).toString(36);
+        }
+        return id;
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Schedule - Daily routines for NPCs, driven by the game clock
+ *
+ * A schedule is a list of blocks, plain JSON so it can be edited in the panel and saved with the map:
+ *   { activity: 'Sleep', start: '23:00', end: '07:00', place: 'bed', priority: 'override' }
+ *
+ * Blocks may run past midnight; where blocks overlap the earlier one in the list wins.
+ * Optional days and seasons (TimeSystem.getWeekdays() / getSeasons() keys) limit a block to those
+ * dates; the part of a block after midnight belongs to the day it started.
+ * place is an item definition key (the nearest free one is used) or the id of one item
+ * (e.g. the NPC's own bed). Blocks without a place only label the time.
+ * Priorities:
+ *   low, normal, high - scored alongside needs (ActionScorer), so a pressing enough need wins
+ *   override          - followed ahead of autonomy (after orders) unless a need is critical
+ * The NPC stays on the place's item until the block ends.
+ */
+class Schedule {
+    /**
+     * Get the block priorities, weakest first
+     * @returns {Array<string>}
+     */
+    static getPriorities() {
+        return ['low', 'normal', 'high', 'override'];
+    }
+
+    /**
+     * Get the built-in schedules NPCs can follow
+     * @returns {Object} {key: {name, blocks}}
+     */
+    static getTemplates() {
+        return {
+            worker: {
+                name: 'Worker',
+                blocks: [
+                    { activity: 'Sleep', start: '23:00', end: '07:00', place: 'bed', priority: 'override' },
+                    { activity: 'Work', start: '09:00', end: '17:00', place: 'desk', priority: 'high' }
+                ]
+            },
+            office_worker: {
+                name: 'Office worker',
+                blocks: [
+                    { activity: 'Sleep', start: '23:00', end: '07:00', place: 'bed', priority: 'override' },
+                    { activity: 'Work', start: '09:00', end: '17:00', place: 'desk', priority: 'high', days: Schedule.getWorkdays() }
+                ]
+            },
+            early_bird: {
+                name: 'Early bird',
+                blocks: [
+                    { activity: 'Sleep', start: '21:00', end: '05:00', place: 'bed', priority: 'override' },
+                    { activity: 'Work', start: '06:00', end: '14:00', place: 'desk', priority: 'high' }
+                ]
+            },
+            night_owl: {
+                name: 'Night owl',
+                blocks: [
+                    { activity: 'Sleep', start: '03:00', end: '11:00', place: 'bed', priority: 'override' },
+                    { activity: 'Gaming', start: '20:00', end: '02:00', place: 'computer', priority: 'normal' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Get the working weekdays
+     * @returns {Array<string>} Monday to Friday
+     */
+    static getWorkdays() {
+        return TimeSystem.getWeekdays().slice(0, 5);
+    }
+
+    /**
+     * Parse a clock time
+     * @param {string} text - "HH:MM" (24-hour)
+     * @returns {number|null} Minutes since midnight, or null if invalid
+     */
+    static parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+        if (!match) return null;
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Format minutes since midnight as a clock time
+     * @param {number} minutes
+     * @returns {string} "HH:MM" (24-hour)
+     */
+    static formatTime(minutes) {
+        const wrapped = ((Math.floor(minutes) % 1440) + 1440) % 1440;
+        const hours = Math.floor(wrapped / 60);
+        return `${hours.toString().padStart(2, '0')}:${(wrapped % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Check blocks for mistakes
+     * @param {Array<Object>} blocks
+     * @returns {Array<string>} Problems found (empty if valid)
+     */
+    static validate(blocks) {
+        if (!Array.isArray(blocks)) return ['The schedule must be a list of blocks'];
+
+        const errors = [];
+        blocks.forEach((block, index) => {
+            const where = `Block ${index + 1}`;
+            if (!block || typeof block.activity !== 'string' || !block.activity.trim()) {
+                errors.push(`${where} needs an activity`);
+                return;
+            }
+            const start = Schedule.parseTime(block.start);
+            const end = Schedule.parseTime(block.end);
+            if (start === null || end === null) {
+                errors.push(`${where}: times must be HH:MM`);
+            } else if (start === end) {
+                errors.push(`${where} starts and ends at the same time`);
+            }
+            if (!Schedule.getPriorities().includes(block.priority)) {
+                errors.push(`${where}: priority must be one of ${Schedule.getPriorities().join(', ')}`);
+            }
+            if (block.place !== undefined && block.place !== null && typeof block.place !== 'string') {
+                errors.push(`${where}: place must be an item type or item id`);
+            }
+            const checkDates = (list, known, field) => {
+                if (list === undefined || list === null) return;
+                if (!Array.isArray(list) || list.some(key => !known.includes(key))) {
+                    errors.push(`${where}: ${field} must be a list of ${known.join(', ')}`);
+                }
+            };
+            checkDates(block.days, TimeSystem.getWeekdays(), 'days');
+            checkDates(block.seasons, TimeSystem.getSeasons(), 'seasons');
+        });
+        return errors;
+    }
+
+    /**
+     * Check if a block is kept on a date
+     * @param {Object} block
+     * @param {Object|null} date - From TimeSystem.getCalendar() (null matches any date)
+     * @returns {boolean}
+     */
+    static isOnDate(block, date) {
+        if (!date) return true;
+        if (Array.isArray(block.days) && block.days.length > 0 && !block.days.includes(date.weekday)) return false;
+        if (Array.isArray(block.seasons) && block.seasons.length > 0 && !block.seasons.includes(date.season)) return false;
+        return true;
+    }
+
+    /**
+     * Check if a block covers a time of day
+     * @param {Object} block
+     * @param {number} minutes - Minutes since midnight
+     * @param {Object|null} today - From TimeSystem.getCalendar() (null ignores days and seasons)
+     * @param {Object|null} yesterday - From TimeSystem.getCalendar(-1), for blocks that started before midnight
+     * @returns {boolean}
+     */
+    static isActive(block, minutes, today = null, yesterday = today) {
+        const start = Schedule.parseTime(block.start);
+        const end = Schedule.parseTime(block.end);
+        if (start === null || end === null) return false;
+
+        if (start < end) {
+            return minutes >= start && minutes < end && Schedule.isOnDate(block, today);
+        }
+        return (minutes >= start && Schedule.isOnDate(block, today)) || (minutes < end && Schedule.isOnDate(block, yesterday));
+    }
+
+    /**
+     * Get the block covering a time of day
+     * @param {Array<Object>} blocks
+     * @param {number} minutes - Minutes since midnight
+     * @param {Object|null} today - From TimeSystem.getCalendar()
+     * @param {Object|null} yesterday - From TimeSystem.getCalendar(-1)
+     * @returns {Object|null}
+     */
+    static getActiveBlock(blocks, minutes, today = null, yesterday = today) {
+        return blocks.find(block => Schedule.isActive(block, minutes, today, yesterday)) || null;
+    }
+
+    /**
+     * Get the next block to start after a time of day (today or tomorrow)
+     * @param {Array<Object>} blocks
+     * @param {number} minutes - Minutes since midnight
+     * @param {Object|null} today - From TimeSystem.getCalendar()
+     * @param {Object|null} tomorrow - From TimeSystem.getCalendar(1)
+     * @returns {Object|null}
+     */
+    static getNextBlock(blocks, minutes, today = null, tomorrow = today) {
+        let next = null;
+        let soonest = Infinity;
+        for (const block of blocks) {
+            const start = Schedule.parseTime(block.start);
+            if (start === null || !Schedule.isOnDate(block, start > minutes ? today : tomorrow)) continue;
+
+            const wait = ((start - minutes) % 1440 + 1440) % 1440 || 1440;
+            if (wait < soonest) {
+                soonest = wait;
+                next = block;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Check if two blocks describe the same thing (template blocks are rebuilt on each call)
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    static isSameBlock(a, b) {
+        if (!a || !b) return false;
+        const dates = (list) => (Array.isArray(list) ? list.join(',') : '');
+        return a.activity === b.activity && a.start === b.start && a.end === b.end &&
+            (a.place || null) === (b.place || null) && a.priority === b.priority &&
+            dates(a.days) === dates(b.days) && dates(a.seasons) === dates(b.seasons);
+    }
+}
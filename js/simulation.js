@@ -0,0 +1,70 @@
+/**
+ * Simulation - Advances the game clock and entities in fixed timesteps
+ *
+ * Real frame time is converted to simulation time by the TimeSystem (pause/speed)
+ * and consumed in equal steps, so the same seed and inputs replay identically
+ * regardless of frame rate.
+ */
+class Simulation {
+    constructor(entityManager, fixedTimestep = 20) {
+        this.entityManager = entityManager;
+        this.fixedTimestep = fixedTimestep; // Simulation ms per step (50 Hz)
+        this.maxStepsPerUpdate = 300; // Cap per frame so a long stall cannot freeze the page
+        this.accumulator = 0; // Simulation ms not yet stepped
+        this.tick = 0; // Number of fixed steps run since reset
+    }
+
+    /**
+     * Advance by real elapsed time
+     * @param {number} deltaTime - Real time in milliseconds
+     * @returns {number} Number of fixed steps run
+     */
+    update(deltaTime) {
+        const timeSystem = window.timeSystem;
+        const simDelta = timeSystem ? timeSystem.getSimulationDelta(deltaTime) : deltaTime;
+        this.accumulator += simDelta;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimestep && steps < this.maxStepsPerUpdate) {
+            this.step();
+            this.accumulator -= this.fixedTimestep;
+            steps++;
+        }
+
+        // Drop any backlog we could not catch up on
+        if (steps >= this.maxStepsPerUpdate) {
+            this.accumulator = 0;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Run a single fixed step
+     */
+    step() {
+        if (window.timeSystem) {
+            window.timeSystem.advance(this.fixedTimestep);
+        }
+        this.entityManager.update(this.fixedTimestep);
+        this.tick++;
+    }
+
+    /**
+     * Run a number of fixed steps immediately (ignores pause)
+     * @param {number} count
+     */
+    runSteps(count) {
+        for (let i = 0; i < count; i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Reset step counters (e.g. after loading a map)
+     */
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+}
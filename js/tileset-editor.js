@@ -67,6 +67,15 @@ class TilesetEditor {
             this.exportTileset();
         });
 
+        // Import tile properties
+        document.getElementById('tileset-json-upload').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importTileset(file);
+            }
+            e.target.value = '';
+        });
+
         // Canvas click - select tile
         this.canvas.addEventListener('click', (e) => {
             const rect = this.canvas.getBoundingClientRect();
@@ -118,12 +127,18 @@ class TilesetEditor {
         const infoDiv = document.getElementById('tile-info');
         const tile = this.tilesetManager.selectedTile;
 
+        this.setSaveStatus('', '#888'); // Stale once the selection changes
+
         if (tile) {
+            const props = this.tilesetManager.getTileProperties(tile.tileset, tile.x, tile.y);
             infoDiv.innerHTML = `
                 <p><strong>Tileset:</strong> ${tile.tileset}</p>
                 <p><strong>Position:</strong> (${tile.x}, ${tile.y})</p>
                 <p><strong>Pixel:</strong> (${tile.pixelX}, ${tile.pixelY})</p>
                 <p><strong>Size:</strong> ${tile.width}x${tile.height}</p>
+                <label style="margin-top: 0.5rem;">
+                    <input type="checkbox" id="tile-solid" ${props.solid ? 'checked' : ''}> Solid (blocks movement)
+                </label>
             `;
         } else {
             infoDiv.innerHTML = '<p>No tile selected</p>';
@@ -193,16 +208,49 @@ class TilesetEditor {
         URL.revokeObjectURL(url);
     }
 
+    importTileset(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+                if (!this.tilesetManager.importTilesetData(data)) {
+                    alert('Invalid tileset JSON');
+                    return;
+                }
+                this.refresh();
+            } catch (error) {
+                console.error('Error loading tileset JSON:', error);
+                alert('Failed to load tileset JSON');
+            }
+        };
+        reader.readAsText(file);
+    }
+
     saveTileData() {
         const tile = this.tilesetManager.selectedTile;
         if (!tile) {
-            alert('No tile selected');
+            this.setSaveStatus('No tile selected', '#ff4444');
             return;
         }
 
-        // In a real implementation, this would save to a database or file
-        console.log('Tile data:', tile);
-        alert(`Tile data saved:\nTileset: ${tile.tileset}\nPosition: (${tile.x}, ${tile.y})`);
+        // Store collision properties with the tileset (exported with the tileset JSON and saved maps)
+        const solidCheckbox = document.getElementById('tile-solid');
+        const solid = solidCheckbox ? solidCheckbox.checked : false;
+        this.tilesetManager.setTileProperties(tile.tileset, tile.x, tile.y, { solid });
+        this.refresh();
+        this.setSaveStatus(`Saved ${tile.tileset} (${tile.x}, ${tile.y}): ${solid ? 'solid' : 'walkable'}`, '#4a9eff');
+    }
+
+    /**
+     * Show the result of saving under the editor controls
+     * @param {string} text
+     * @param {string} color
+     */
+    setSaveStatus(text, color) {
+        const status = document.getElementById('tile-save-status');
+        if (!status) return;
+        status.textContent = text;
+        status.style.color = color;
     }
 
     show() {
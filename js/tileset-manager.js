@@ -13,6 +13,15 @@ class TilesetManager {
         this.gridSize = { cols: 4, rows: 4 };
         this.selectedTileset = 'terrain';
         this.selectedTile = null;
+        
+        // Per-tile collision metadata: Map of tileset name to {"x,y": {solid}}
+        this.tileProperties = {
+            terrain: {},
+            furniture: {},
+            interior: {},
+            character: {}
+        };
+        this.propertiesVersion = 0; // Bumped whenever tile properties change (see World.getCollisionVersion)
     }
 
     /**
@@ -215,6 +224,19 @@ class TilesetManager {
             // Keep the character size for this display
         }
 
+        // Mark solid tiles
+        const properties = this.tileProperties[this.selectedTileset] || {};
+        for (const key of Object.keys(properties)) {
+            if (!properties[key].solid) continue;
+            const [x, y] = key.split(',').map(Number);
+            if (x >= cols || y >= rows) continue;
+            ctx.fillStyle = 'rgba(255, 68, 68, 0.3)';
+            ctx.fillRect(x * width, y * height, width, height);
+            ctx.strokeStyle = '#ff4444';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x * width + 0.5, y * height + 0.5, width - 1, height - 1);
+        }
+
         // Highlight selected tile
         if (this.selectedTile) {
             ctx.strokeStyle = '#4a9eff';
@@ -254,6 +276,54 @@ class TilesetManager {
         return this.getTile(this.selectedTileset, tileX, tileY);
     }
 
+    /**
+     * Get properties of a tile (collision, etc.)
+     * @param {string} tilesetName - Name of the tileset
+     * @param {number} tileX - X position in the grid
+     * @param {number} tileY - Y position in the grid
+     * @returns {Object} {solid}
+     */
+    getTileProperties(tilesetName, tileX, tileY) {
+        const properties = this.tileProperties[tilesetName];
+        const stored = properties ? properties[`${tileX},${tileY}`] : null;
+        return {
+            solid: stored ? !!stored.solid : false
+        };
+    }
+
+    /**
+     * Set properties of a tile
+     * @param {string} tilesetName - Name of the tileset
+     * @param {number} tileX - X position in the grid
+     * @param {number} tileY - Y position in the grid
+     * @param {Object} props - {solid}
+     */
+    setTileProperties(tilesetName, tileX, tileY, props) {
+        if (!this.tileProperties[tilesetName]) {
+            this.tileProperties[tilesetName] = {};
+        }
+        
+        const key = `${tileX},${tileY}`;
+        if (props.solid) {
+            this.tileProperties[tilesetName][key] = { solid: true };
+        } else {
+            // Only non-default tiles are stored
+            delete this.tileProperties[tilesetName][key];
+        }
+        this.propertiesVersion++;
+    }
+
+    /**
+     * Check if a tile blocks movement
+     * @param {string} tilesetName - Name of the tileset
+     * @param {number} tileX - X position in the grid
+     * @param {number} tileY - Y position in the grid
+     * @returns {boolean}
+     */
+    isTileSolid(tilesetName, tileX, tileY) {
+        return this.getTileProperties(tilesetName, tileX, tileY).solid;
+    }
+
     /**
      * Export tileset data as JSON
      * @returns {Object} Tileset data
@@ -262,14 +332,56 @@ class TilesetManager {
         const tileset = this.tilesets[this.selectedTileset];
         if (!tileset) return null;
 
+        const properties = this.tileProperties[this.selectedTileset] || {};
+        const tiles = Object.entries(properties).map(([key, props]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, solid: !!props.solid };
+        });
+
         return {
             name: this.selectedTileset,
             tileSize: this.tileSize,
             gridSize: this.gridSize,
             imageWidth: tileset.width,
             imageHeight: tileset.height,
-            tiles: []
+            tiles: tiles
         };
     }
+
+    /**
+     * Import tile properties from exported tileset JSON
+     * @param {Object} data - Tileset data from exportTilesetData
+     * @returns {boolean} Success
+     */
+    importTilesetData(data) {
+        if (!data || !data.name || !Array.isArray(data.tiles)) return false;
+
+        this.tileProperties[data.name] = {};
+        this.propertiesVersion++;
+        data.tiles.forEach(tile => {
+            this.setTileProperties(data.name, tile.x, tile.y, tile);
+        });
+        return true;
+    }
+
+    /**
+     * Serialize tile properties of all tilesets (saved with maps)
+     * @returns {Object}
+     */
+    serializeTileProperties() {
+        return JSON.parse(JSON.stringify(this.tileProperties));
+    }
+
+    /**
+     * Restore tile properties of all tilesets
+     * @param {Object} data - From serializeTileProperties
+     */
+    deserializeTileProperties(data) {
+        if (!data) return;
+        for (const [tilesetName, properties] of Object.entries(data)) {
+            this.tileProperties[tilesetName] = Object.assign({}, properties);
+        }
+        this.propertiesVersion++;
+    }
 }
 
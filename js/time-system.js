@@ -1,10 +1,15 @@
 /**
- * Time System - Manages day/night cycle and time-based effects
+ * Time System - Manages day/night cycle, the calendar and time-based effects
+ *
+ * The calendar counts days from 1; weekday, season and year follow from the day
+ * (a year is four seasons of daysPerSeason days, starting on a Monday in spring).
+ * Listeners hear {type: 'day'|'season', ...getCalendar()} when a new day or season starts.
  */
 class TimeSystem {
     constructor() {
         // Time settings
         this.timeScale = 60; // 1 real second = 60 game seconds (1 minute per second)
+        this.speed = 1; // Simulation speed multiplier (Speed button)
         this.dayLength = 24 * 60; // 24 hours in minutes (1440 minutes)
         this.currentTime = 6 * 60; // Start at 6:00 AM (360 minutes)
         
@@ -17,26 +22,95 @@ class TimeSystem {
         this.night = 21 * 60;     // 9:00 PM
         this.midnight = 0;        // 12:00 AM
         
+        // Calendar
+        this.day = 1; // Days since the start, counting from 1
+        this.daysPerSeason = 28;
+        this.listeners = [];
+        
         this.isPaused = false;
+        this.elapsedTime = 0; // Total simulation milliseconds since start
         this.lastUpdate = Date.now();
     }
 
     /**
      * Update time system
-     * @param {number} deltaTime - Time in milliseconds
+     * @param {number} deltaTime - Real time in milliseconds
+     * @returns {number} Simulation time in milliseconds (0 while paused)
      */
     update(deltaTime) {
-        if (this.isPaused) return;
+        return this.advance(this.getSimulationDelta(deltaTime));
+    }
+
+    /**
+     * Advance the clock by simulation time (used by fixed-timestep updates)
+     * @param {number} simDelta - Simulation time in milliseconds
+     * @returns {number} Simulation time advanced
+     */
+    advance(simDelta) {
+        if (simDelta <= 0) return 0;
         
-        const deltaMinutes = (deltaTime / 1000) * (this.timeScale / 60); // Convert to game minutes
-        this.currentTime += deltaMinutes;
+        this.elapsedTime += simDelta;
         
-        // Wrap around at end of day
-        if (this.currentTime >= this.dayLength) {
-            this.currentTime = this.currentTime % this.dayLength;
+        this.currentTime += this.toGameMinutes(simDelta);
+        
+        // Wrap around at end of day, turning the calendar
+        while (this.currentTime >= this.dayLength) {
+            this.currentTime -= this.dayLength;
+            this.startNewDay();
+        }
+        
+        return simDelta;
+    }
+
+    /**
+     * Move the calendar on a day, telling listeners
+     */
+    startNewDay() {
+        const season = this.getSeason();
+        this.day++;
+        
+        const calendar = this.getCalendar();
+        this.notify(Object.assign({ type: 'day' }, calendar));
+        if (calendar.season !== season) {
+            this.notify(Object.assign({ type: 'season' }, calendar));
         }
     }
 
+    /**
+     * Convert simulation time to game clock minutes
+     * @param {number} simDelta - Simulation time in milliseconds
+     * @returns {number} Game minutes
+     */
+    toGameMinutes(simDelta) {
+        return (simDelta / 1000) * (this.timeScale / 60);
+    }
+
+    /**
+     * Convert real elapsed time to simulation time
+     * @param {number} deltaTime - Real time in milliseconds
+     * @returns {number} Simulation time in milliseconds
+     */
+    getSimulationDelta(deltaTime) {
+        if (this.isPaused) return 0;
+        return deltaTime * this.speed;
+    }
+
+    /**
+     * Get total simulation time elapsed
+     * @returns {number} Milliseconds
+     */
+    getElapsedTime() {
+        return this.elapsedTime;
+    }
+
+    /**
+     * Get the game clock every saved timestamp uses (memories, relationships, reservations)
+     * @returns {number} Simulation milliseconds elapsed on the shared clock, 0 before it exists
+     */
+    static getGameTime() {
+        return window.timeSystem ? window.timeSystem.getElapsedTime() : 0;
+    }
+
     /**
      * Get current time of day
      * @returns {string} 'dawn', 'morning', 'noon', 'afternoon', 'evening', 'night', 'midnight'
@@ -61,6 +135,67 @@ class TimeSystem {
         return 'night';
     }
 
+    /**
+     * Get the weekdays, Monday first
+     * @returns {Array<string>}
+     */
+    static getWeekdays() {
+        return ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    }
+
+    /**
+     * Get the seasons in order, starting with the first of the year
+     * @returns {Array<string>}
+     */
+    static getSeasons() {
+        return ['spring', 'summer', 'autumn', 'winter'];
+    }
+
+    /**
+     * Get the date of a day
+     * @param {number} dayOffset - Days from today (e.g. -1 for yesterday)
+     * @returns {Object} {day, weekday, season, dayOfSeason, year}
+     */
+    getCalendar(dayOffset = 0) {
+        const index = this.day - 1 + dayOffset; // Days since the start, from 0
+        const seasonIndex = Math.floor(index / this.daysPerSeason);
+        const mod = (value, length) => ((value % length) + length) % length;
+        
+        return {
+            day: index + 1,
+            weekday: TimeSystem.getWeekdays()[mod(index, 7)],
+            season: TimeSystem.getSeasons()[mod(seasonIndex, 4)],
+            dayOfSeason: mod(index, this.daysPerSeason) + 1,
+            year: Math.floor(seasonIndex / 4) + 1
+        };
+    }
+
+    /**
+     * Get the current weekday
+     * @returns {string} e.g. 'monday'
+     */
+    getWeekday() {
+        return this.getCalendar().weekday;
+    }
+
+    /**
+     * Get the current season
+     * @returns {string} 'spring', 'summer', 'autumn' or 'winter'
+     */
+    getSeason() {
+        return this.getCalendar().season;
+    }
+
+    /**
+     * Get formatted date string
+     * @returns {string} "Monday, Spring 1, Year 1"
+     */
+    getFormattedDate() {
+        const calendar = this.getCalendar();
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        return `${capitalize(calendar.weekday)}, ${capitalize(calendar.season)} ${calendar.dayOfSeason}, Year ${calendar.year}`;
+    }
+
     /**
      * Get formatted time string
      * @returns {string} "HH:MM AM/PM"
@@ -101,33 +236,13 @@ class TimeSystem {
     /**
      * Get need decay modifier based on time of day
      * @param {string} needType - Type of need
+     * @param {NeedsSystem} needsSystem - Need definitions holding the modifiers
      * @returns {number} Multiplier for decay rate
      */
-    getNeedDecayModifier(needType) {
-        const timeOfDay = this.getTimeOfDay();
-        
-        switch (needType) {
-            case 'sleep':
-                // Sleep decays faster during day, slower at night
-                if (this.isNighttime()) {
-                    return 0.3; // Much slower at night
-                } else {
-                    return 1.5; // Faster during day
-                }
-            case 'hunger':
-            case 'thirst':
-                // Basic needs decay normally
-                return 1.0;
-            case 'happiness':
-            case 'social':
-                // Social needs decay slower at night (less social activity)
-                if (this.isNighttime()) {
-                    return 0.7;
-                }
-                return 1.0;
-            default:
-                return 1.0;
-        }
+    getNeedDecayModifier(needType, needsSystem = window.needsSystem) {
+        if (!needsSystem) return 1.0;
+        const calendar = this.getCalendar();
+        return needsSystem.getDecayModifier(needType, this.getTimeOfDay(), calendar.season, calendar.weekday);
     }
 
     /**
@@ -166,6 +281,73 @@ class TimeSystem {
         }
     }
 
+    /**
+     * Set the calendar day (listeners are not told)
+     * @param {number} day - Days since the start, counting from 1
+     */
+    setDay(day) {
+        this.day = Math.max(1, Math.floor(day) || 1);
+    }
+
+    /**
+     * Add listener for new days and seasons
+     * @param {Function} callback - Called with {type: 'day'|'season', day, weekday, season, dayOfSeason, year}
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Remove listener
+     * @param {Function} callback
+     */
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Tell listeners about a calendar event
+     * @param {Object} event
+     */
+    notify(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    /**
+     * Serialize the calendar and clock (saved with maps)
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            day: this.day,
+            time: this.currentTime,
+            daysPerSeason: this.daysPerSeason,
+            elapsedTime: this.elapsedTime
+        };
+    }
+
+    /**
+     * Deserialize the calendar and clock
+     * @param {Object} data
+     */
+    deserialize(data) {
+        if (!data) return;
+        if (data.daysPerSeason > 0) {
+            this.daysPerSeason = Math.floor(data.daysPerSeason);
+        }
+        this.setDay(data.day);
+        if (typeof data.time === 'number') {
+            this.currentTime = ((data.time % this.dayLength) + this.dayLength) % this.dayLength;
+        }
+        // Saved timestamps (memories, relationships, reservations) are on this clock
+        if (data.elapsedTime >= 0) {
+            this.elapsedTime = data.elapsedTime;
+        }
+    }
+
     /**
      * Pause/unpause time
      * @param {boolean} paused
@@ -174,6 +356,22 @@ class TimeSystem {
         this.isPaused = paused;
     }
 
+    /**
+     * Get simulation speed multiplier
+     * @returns {number}
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+    /**
+     * Set simulation speed multiplier (clock, need decay, item use and movement)
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Math.min(100, speed)); // Clamp between 0.1x and 100x
+    }
+
     /**
      * Get time scale
      * @returns {number}
@@ -0,0 +1,200 @@
+/**
+ * World - Map data, collision and entities of a running simulation
+ *
+ * Holds everything NPCs and items query while simulating, with no canvas or DOM
+ * access, so the same world can be rendered by MapRenderer or run headless in Node.
+ */
+class World {
+    constructor(tilesetManager, width = 20, height = 20) {
+        this.tilesetManager = tilesetManager; // Source of tile collision properties
+        this.mapWidth = width;
+        this.mapHeight = height;
+        this.map = null;
+
+        this.entityManager = new EntityManager();
+        this.pathfinder = new Pathfinder(); // Shared A* pathfinder for NPC movement
+        this.simulation = new Simulation(this.entityManager); // Fixed-timestep clock and entity updates
+        this.autonomy = 'full'; // Autonomy level of NPCs without their own (see NPC.getAutonomy)
+        this.mapVersion = 0; // Bumped by markMapChanged (see getCollisionVersion)
+
+        this.initializeMap();
+    }
+
+    /**
+     * Create empty map layers for the current size
+     */
+    initializeMap() {
+        this.map = {
+            ground: [],
+            items: [],
+            characters: []
+        };
+
+        for (let y = 0; y < this.mapHeight; y++) {
+            this.map.ground[y] = [];
+            this.map.items[y] = [];
+            this.map.characters[y] = [];
+            for (let x = 0; x < this.mapWidth; x++) {
+                this.map.ground[y][x] = null;
+                this.map.items[y][x] = null;
+                this.map.characters[y][x] = null;
+            }
+        }
+        this.markMapChanged();
+    }
+
+    /**
+     * Note that map tiles were placed or removed
+     */
+    markMapChanged() {
+        this.mapVersion++;
+    }
+
+    /**
+     * Get a number that changes whenever tile or entity collision may have changed
+     * (map edits, tile properties, blocking entities), for caches of failed routes
+     * @returns {number}
+     */
+    getCollisionVersion() {
+        return this.mapVersion + this.tilesetManager.propertiesVersion + this.entityManager.blockingVersion;
+    }
+
+    /**
+     * Check if a tile can be entered by the player or an NPC
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    canMoveTo(x, y) {
+        return this.isTileWalkable(x, y) && !this.isBlockedByEntity(x, y);
+    }
+
+    /**
+     * Check map bounds and tile collision on every layer
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isTileWalkable(x, y) {
+        if (x < 0 || x >= this.mapWidth || y < 0 || y >= this.mapHeight) {
+            return false;
+        }
+
+        for (const layerName of ['ground', 'items', 'characters']) {
+            const layer = this.map[layerName];
+            const tileData = layer && layer[y] ? layer[y][x] : null;
+            if (tileData && this.tilesetManager.isTileSolid(tileData.tileset, tileData.tileX, tileData.tileY)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check for entities blocking a tile (e.g. furniture)
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isBlockedByEntity(x, y) {
+        return this.entityManager.getAtPosition(x, y).some(e => e.active && e.isBlocking());
+    }
+
+    /**
+     * Serialize map, collision, RNG and entities (map file format)
+     * Only map state is saved: item use in progress, plans, paths, waits and orders are not,
+     * so a loaded map replays deterministically from the load rather than from the save.
+     * @returns {Object}
+     */
+    serializeMapData() {
+        const rng = SeededRandom.getShared();
+        return {
+            width: this.mapWidth,
+            height: this.mapHeight,
+            tileSize: 32,
+            map: this.map,
+            tileProperties: this.tilesetManager.serializeTileProperties(),
+            needDefinitions: window.needsSystem ? window.needsSystem.serializeDefinitions() : null,
+            random: {
+                seed: rng.getSeed(),
+                state: rng.getState()
+            },
+            autonomy: this.autonomy,
+            calendar: window.timeSystem ? window.timeSystem.serialize() : null,
+            entities: this.entityManager.serialize()
+        };
+    }
+
+    /**
+     * Load map, collision, RNG and entities from map file data
+     * @param {Object} mapData
+     */
+    loadMapData(mapData) {
+        this.mapWidth = mapData.width;
+        this.mapHeight = mapData.height;
+        this.map = mapData.map;
+        this.markMapChanged();
+
+        // Restore the seed now; the saved state is restored after the entities below,
+        // since rebuilding them draws IDs and personalities from the RNG
+        const rng = SeededRandom.getShared();
+        if (mapData.random) {
+            rng.setSeed(mapData.random.seed);
+        }
+        this.simulation.reset();
+        this.autonomy = NPC.getAutonomyLevels().includes(mapData.autonomy) ? mapData.autonomy : 'full';
+
+        // Restore the calendar and clock if saved
+        if (mapData.calendar && window.timeSystem) {
+            window.timeSystem.deserialize(mapData.calendar);
+        }
+
+        // Restore need definitions if saved (NPCs resync their needs on the next update)
+        if (mapData.needDefinitions && window.needsSystem) {
+            window.needsSystem.loadDefinitions(mapData.needDefinitions);
+        }
+
+        // Restore tile collision properties if saved
+        if (mapData.tileProperties) {
+            this.tilesetManager.deserializeTileProperties(mapData.tileProperties);
+        }
+
+        // Restore entities
+        if (mapData.entities && Array.isArray(mapData.entities)) {
+            this.entityManager.deserialize(mapData.entities, (data) => World.createEntity(data));
+            this.entityManager.getByType('npc').forEach(npc => npc.pruneRelationships(this.entityManager));
+        }
+
+        // Continue the saved sequence
+        if (mapData.random && mapData.random.state !== undefined) {
+            rng.setState(mapData.random.state);
+        }
+    }
+
+    /**
+     * Create an empty entity of the right class for saved entity data
+     * @param {Object} data - Serialized entity
+     * @returns {Entity}
+     */
+    static createEntity(data) {
+        let entity;
+        if (data.type === 'npc') {
+            entity = new NPC(data.tileX || 0, data.tileY || 0, data.name || 'NPC');
+        } else if (data.type === 'functional') {
+            // Restore functional item
+            if (data.itemDef) {
+                entity = new FunctionalItem(data.tileX || 0, data.tileY || 0, data.name || 'Item', data.itemDef);
+            } else {
+                entity = new Item(data.tileX || 0, data.tileY || 0, data.name || 'Item');
+            }
+        } else if (data.type === 'item') {
+            entity = new Item(data.tileX || 0, data.tileY || 0, data.name || 'Item');
+        } else if (data.type === 'player') {
+            entity = new Character(data.tileX || 0, data.tileY || 0);
+        } else {
+            entity = new Entity(data.tileX || 0, data.tileY || 0, data.type || 'entity');
+        }
+        return entity;
+    }
+}
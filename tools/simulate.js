@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation runner - Simulates a saved map in Node and prints a balancing report
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SimulationReport = require('./simulation-report');
+
+const USAGE = `Usage: node tools/simulate.js <map.json> [options]
+  --days <n>                         Game days per run (default 1)
+  --runs <n>                         Number of runs (default 1)
+  --seed <n>                         Base seed, run i uses seed + i (default 1)
+  --needs <file>                     Need definitions JSON (replaces those saved with the map)
+  --decay <need>=<rate>              Override a need decay rate (repeatable)
+  --satisfies <item>.<need>=<amount> Override what an item satisfies (repeatable)
+  --json                             Print the report as JSON
+  --verbose                          Print the activity log while running`;
+
+// The simulation classes are browser scripts that share globals through `window`
+global.window = global;
+
+const SIM_SCRIPTS = [
+    'tileset-manager.js',
+    'needs-system.js',
+    'time-system.js',
+    'activity-logger.js',
+    'random.js',
+    'pathfinder.js',
+    'action-scorer.js',
+    'goal-planner.js',
+    'inventory.js',
+    'memory.js',
+    'dialogue.js',
+    'schedule.js',
+    'entity.js',
+    'npc.js',
+    'item.js',
+    'functional-item.js',
+    'entity-manager.js',
+    'simulation.js',
+    'world.js',
+    'character.js'
+];
+
+/**
+ * Load the simulation scripts into the global scope (same order as index.html)
+ */
+function loadSimulationScripts() {
+    const scriptDir = path.join(__dirname, '..', 'js');
+    for (const file of SIM_SCRIPTS) {
+        const filename = path.join(scriptDir, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        mapFile: null,
+        days: 1,
+        runs: 1,
+        seed: 1,
+        needsFile: null,
+        decay: {},
+        satisfies: [],
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--days':
+                options.days = parseFloat(argv[++i]);
+                break;
+            case '--runs':
+                options.runs = parseInt(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i]);
+                break;
+            case '--needs':
+                options.needsFile = argv[++i];
+                break;
+            case '--decay': {
+                const [needType, rate] = (argv[++i] || '').split('=');
+                options.decay[needType] = parseFloat(rate);
+                break;
+            }
+            case '--satisfies': {
+                const [target, amount] = (argv[++i] || '').split('=');
+                const [itemName, needType] = target.split('.');
+                options.satisfies.push({ itemName: itemName.toLowerCase(), needType, amount: parseFloat(amount) });
+                break;
+            }
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.mapFile = arg;
+        }
+    }
+
+    if (!options.help && !options.mapFile) {
+        throw new Error('No map file given');
+    }
+    if (!(options.days > 0) || !(options.runs > 0) || isNaN(options.seed)) {
+        throw new Error('--days and --runs must be positive, --seed must be a number');
+    }
+    for (const [needType, rate] of Object.entries(options.decay)) {
+        if (!needType || isNaN(rate)) throw new Error('--decay expects <need>=<rate>');
+    }
+    for (const override of options.satisfies) {
+        if (!override.itemName || !override.needType || isNaN(override.amount)) {
+            throw new Error('--satisfies expects <item>.<need>=<amount>');
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Simulate one run of a map
+ * @param {Object} mapData - Parsed map file
+ * @param {number} runIndex
+ * @param {Object} options
+ * @returns {Object} Run report
+ */
+function runSimulation(mapData, runIndex, needDefinitions, options) {
+    // Fresh global services for every run
+    window.rng = new SeededRandom(options.seed + runIndex);
+    window.needsSystem = new NeedsSystem();
+    window.timeSystem = new TimeSystem();
+    window.activityLogger = new ActivityLogger(50);
+    if (options.verbose) {
+        window.activityLogger.addListener(entry => {
+            if (entry) console.error(`[run ${runIndex + 1} ${entry.time}] ${entry.message}`);
+        });
+    }
+
+    const world = new World(new TilesetManager());
+    window.world = world;
+    world.loadMapData(JSON.parse(JSON.stringify(mapData))); // Copy: entities keep references into the data
+
+    // Need overrides go after loading, which restores the map's own definitions
+    if (needDefinitions) {
+        window.needsSystem.loadDefinitions(needDefinitions);
+    }
+    for (const [needType, rate] of Object.entries(options.decay)) {
+        if (window.needsSystem.needTypes[needType]) {
+            window.needsSystem.needTypes[needType].decayRate = rate;
+        }
+    }
+
+    // Reseed after loading so each run differs while staying reproducible
+    window.rng.setSeed(options.seed + runIndex);
+
+    for (const item of world.entityManager.getByType('functional')) {
+        for (const override of options.satisfies) {
+            if (item.name.toLowerCase() === override.itemName) {
+                item.itemDef = Object.assign({}, item.itemDef, {
+                    satisfies: Object.assign({}, item.itemDef.satisfies, { [override.needType]: override.amount })
+                });
+            }
+        }
+    }
+
+    const timeSystem = window.timeSystem;
+    const simulation = world.simulation;
+    const simMsPerGameMinute = 60000 / timeSystem.getTimeScale();
+    const totalSteps = Math.round((options.days * timeSystem.dayLength * simMsPerGameMinute) / simulation.fixedTimestep);
+
+    const report = new SimulationReport(timeSystem.getTimeScale());
+    report.begin(world.entityManager);
+    for (let i = 0; i < totalSteps; i++) {
+        simulation.step();
+        report.sample(world.entityManager, simulation.fixedTimestep);
+    }
+
+    const result = report.build(world.entityManager);
+    result.seed = options.seed + runIndex;
+    return result;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const mapData = JSON.parse(fs.readFileSync(options.mapFile, 'utf8'));
+    const needDefinitions = options.needsFile ? JSON.parse(fs.readFileSync(options.needsFile, 'utf8')) : null;
+    loadSimulationScripts();
+
+    // NPCs narrate to console.log; keep stdout for the report
+    const consoleLog = console.log;
+    if (!options.verbose) console.log = () => {};
+
+    const reports = [];
+    try {
+        for (let run = 0; run < options.runs; run++) {
+            reports.push(runSimulation(mapData, run, needDefinitions, options));
+        }
+    } finally {
+        console.log = consoleLog;
+    }
+
+    const summary = SimulationReport.summarize(reports);
+    if (options.json) {
+        console.log(JSON.stringify({ options, summary, runs: reports }, null, 2));
+    } else {
+        console.log(SimulationReport.format(summary, options.days));
+    }
+}
+
+main();
@@ -0,0 +1,268 @@
+/**
+ * Simulation Report - Collects balancing statistics from a headless run
+ */
+class SimulationReport {
+    constructor(timeScale = 60, sampleInterval = 1000) {
+        this.timeScale = timeScale; // Game seconds per simulation second (TimeSystem.timeScale)
+        this.sampleInterval = sampleInterval; // Simulation ms between samples
+        this.reset();
+    }
+
+    /**
+     * Clear collected statistics
+     */
+    reset() {
+        this.sampleTimer = 0;
+        this.simulatedTime = 0;
+        this.npcStats = new Map(); // Map<npcId, {name, needTotals, criticalTime, anyCriticalTime, sampledTime}>
+        this.itemStats = new Map(); // Map<itemId, {name, tileX, tileY, baseline, timesUsed, emptyTime, removed}>
+    }
+
+    /**
+     * Record starting item usage so only uses during the run are counted
+     * @param {EntityManager} entityManager
+     */
+    begin(entityManager) {
+        this.reset();
+        for (const item of entityManager.getByType('functional')) {
+            this.itemStats.set(item.id, {
+                name: item.name,
+                tileX: item.tileX,
+                tileY: item.tileY,
+                baseline: item.timesUsed || 0,
+                timesUsed: item.timesUsed || 0,
+                emptyTime: 0,
+                removed: false
+            });
+        }
+    }
+
+    /**
+     * Sample NPC needs (call after every simulation step)
+     * @param {EntityManager} entityManager
+     * @param {number} deltaTime - Simulation ms of the step
+     */
+    sample(entityManager, deltaTime) {
+        this.simulatedTime += deltaTime;
+        this.sampleTimer += deltaTime;
+        if (this.sampleTimer < this.sampleInterval) return;
+
+        const sampledTime = this.sampleTimer;
+        this.sampleTimer = 0;
+
+        // Consumables are removed when eaten up, so track items here rather than only at the end
+        const present = new Set();
+        for (const item of entityManager.getByType('functional')) {
+            present.add(item.id);
+            const stats = this.itemStats.get(item.id);
+            if (!stats) continue;
+            stats.timesUsed = item.timesUsed || 0;
+            if (item.isEmpty()) {
+                stats.emptyTime += sampledTime;
+            }
+        }
+        for (const [id, stats] of this.itemStats) {
+            if (!present.has(id)) {
+                stats.removed = true;
+                stats.emptyTime += sampledTime;
+            }
+        }
+
+        for (const npc of entityManager.getByType('npc')) {
+            if (!npc.needs) continue;
+
+            if (!this.npcStats.has(npc.id)) {
+                this.npcStats.set(npc.id, {
+                    name: npc.name,
+                    needTotals: {},
+                    criticalTime: {},
+                    anyCriticalTime: 0,
+                    sampledTime: 0
+                });
+            }
+            const stats = this.npcStats.get(npc.id);
+            stats.sampledTime += sampledTime;
+
+            let anyCritical = false;
+            for (const [needType, need] of Object.entries(npc.needs)) {
+                const fraction = need.value / need.max;
+                stats.needTotals[needType] = (stats.needTotals[needType] || 0) + fraction * sampledTime;
+                if (npc.needsSystem.isNeedCritical(npc.needs, needType)) {
+                    stats.criticalTime[needType] = (stats.criticalTime[needType] || 0) + sampledTime;
+                    anyCritical = true;
+                }
+            }
+            if (anyCritical) {
+                stats.anyCriticalTime += sampledTime;
+            }
+        }
+    }
+
+    /**
+     * Convert simulation time to game minutes
+     * @param {number} simTime - Simulation ms
+     * @returns {number}
+     */
+    toGameMinutes(simTime) {
+        return (simTime / 1000) * (this.timeScale / 60);
+    }
+
+    /**
+     * Build the report for the run
+     * @param {EntityManager} entityManager
+     * @returns {Object} {gameMinutes, npcs, items, relationships, relationshipsFormed}
+     */
+    build(entityManager) {
+        const npcs = [];
+        for (const [id, stats] of this.npcStats) {
+            const averageNeeds = {};
+            const criticalMinutes = {};
+            for (const [needType, total] of Object.entries(stats.needTotals)) {
+                averageNeeds[needType] = stats.sampledTime > 0 ? (total / stats.sampledTime) * 100 : 0;
+                criticalMinutes[needType] = this.toGameMinutes(stats.criticalTime[needType] || 0);
+            }
+            npcs.push({
+                id,
+                name: stats.name,
+                averageNeeds,
+                criticalMinutes,
+                anyCriticalMinutes: this.toGameMinutes(stats.anyCriticalTime)
+            });
+        }
+
+        const current = new Map(entityManager.getByType('functional').map(item => [item.id, item]));
+        const items = Array.from(this.itemStats.entries()).map(([id, stats]) => {
+            const item = current.get(id);
+            return {
+                id,
+                name: stats.name,
+                tileX: stats.tileX,
+                tileY: stats.tileY,
+                uses: (item ? item.timesUsed || 0 : stats.timesUsed) - stats.baseline,
+                emptyMinutes: this.toGameMinutes(stats.emptyTime),
+                removed: !item
+            };
+        });
+
+        // Relationships between NPC pairs, counted once per pair
+        const relationships = [];
+        const allNPCs = entityManager.getByType('npc');
+        for (let i = 0; i < allNPCs.length; i++) {
+            for (let j = i + 1; j < allNPCs.length; j++) {
+                const a = allNPCs[i];
+                const b = allNPCs[j];
+                if (!a.relationships.has(b.id) && !b.relationships.has(a.id)) continue;
+
+                const value = (a.getRelationship(b) + b.getRelationship(a)) / 2;
+                relationships.push({
+                    between: [a.name, b.name],
+                    value,
+                    status: a.getRelationshipStatus(value)
+                });
+            }
+        }
+
+        return {
+            gameMinutes: this.toGameMinutes(this.simulatedTime),
+            npcs,
+            items,
+            relationships,
+            relationshipsFormed: relationships.filter(rel => rel.value >= 20).length
+        };
+    }
+
+    /**
+     * Average several run reports into one batch summary
+     * @param {Array<Object>} reports - From build()
+     * @returns {Object} {runs, npcs, items, relationshipsFormed}
+     */
+    static summarize(reports) {
+        const runs = reports.length;
+        const npcs = new Map(); // Keyed by name so runs line up
+        const items = new Map(); // Keyed by name and position
+        let relationshipsFormed = 0;
+
+        for (const report of reports) {
+            relationshipsFormed += report.relationshipsFormed;
+
+            for (const npc of report.npcs) {
+                if (!npcs.has(npc.name)) {
+                    npcs.set(npc.name, { name: npc.name, averageNeeds: {}, criticalMinutes: {}, anyCriticalMinutes: 0 });
+                }
+                const summary = npcs.get(npc.name);
+                for (const [needType, value] of Object.entries(npc.averageNeeds)) {
+                    summary.averageNeeds[needType] = (summary.averageNeeds[needType] || 0) + value / runs;
+                }
+                for (const [needType, value] of Object.entries(npc.criticalMinutes)) {
+                    summary.criticalMinutes[needType] = (summary.criticalMinutes[needType] || 0) + value / runs;
+                }
+                summary.anyCriticalMinutes += npc.anyCriticalMinutes / runs;
+            }
+
+            for (const item of report.items) {
+                const key = `${item.name}@${item.tileX},${item.tileY}`;
+                if (!items.has(key)) {
+                    items.set(key, { name: item.name, tileX: item.tileX, tileY: item.tileY, uses: 0, emptyMinutes: 0 });
+                }
+                items.get(key).uses += item.uses / runs;
+                items.get(key).emptyMinutes += item.emptyMinutes / runs;
+            }
+        }
+
+        return {
+            runs,
+            npcs: Array.from(npcs.values()),
+            items: Array.from(items.values()),
+            relationshipsFormed: runs > 0 ? relationshipsFormed / runs : 0
+        };
+    }
+
+    /**
+     * Format a batch summary as a text table
+     * @param {Object} summary - From summarize()
+     * @param {number} days - Game days per run
+     * @returns {string}
+     */
+    static format(summary, days) {
+        const lines = [];
+        const pad = (text, width) => String(text).padEnd(width);
+        const num = (value, width = 8) => value.toFixed(1).padStart(width);
+
+        lines.push(`Simulation report: ${summary.runs} run(s) x ${days} game day(s)`);
+        lines.push('');
+
+        const needTypes = [];
+        summary.npcs.forEach(npc => Object.keys(npc.averageNeeds).forEach(needType => {
+            if (!needTypes.includes(needType)) needTypes.push(needType);
+        }));
+
+        lines.push('Average need levels (%)');
+        lines.push(pad('NPC', 20) + needTypes.map(needType => needType.padStart(10)).join(''));
+        for (const npc of summary.npcs) {
+            lines.push(pad(npc.name, 20) + needTypes.map(needType => num(npc.averageNeeds[needType] || 0, 10)).join(''));
+        }
+        lines.push('');
+
+        lines.push('Time spent critical (game minutes below each need\'s critical threshold)');
+        lines.push(pad('NPC', 20) + needTypes.map(needType => needType.padStart(10)).join('') + 'any'.padStart(10));
+        for (const npc of summary.npcs) {
+            lines.push(
+                pad(npc.name, 20) +
+                needTypes.map(needType => num(npc.criticalMinutes[needType] || 0, 10)).join('') +
+                num(npc.anyCriticalMinutes, 10)
+            );
+        }
+        lines.push('');
+
+        lines.push(pad('Item usage (per run)', 30) + 'uses'.padStart(8) + 'empty min'.padStart(12));
+        for (const item of summary.items) {
+            lines.push(pad(`${item.name} (${item.tileX}, ${item.tileY})`, 30) + num(item.uses) + num(item.emptyMinutes, 12));
+        }
+        lines.push('');
+
+        lines.push(`Relationships formed (Acquaintance or better, per run): ${summary.relationshipsFormed.toFixed(1)}`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = SimulationReport;